@@ -0,0 +1,63 @@
+/*
+
+Writes public/world-110m.json, the country shapes of the world map, from the
+1:110m countries of world-atlas. world-atlas ids countries by their ISO 3166
+numeric code; the dataset's `Country Code` is ISO3, so the ids are converted
+with the code table of i18n-iso-countries. Kosovo has no ISO code and gets
+XKX, the code the World Bank uses. Natural Earth draws N. Cyprus and
+Somaliland apart from Cyprus and Somalia, with no code of their own; they're
+merged into those countries' shapes.
+
+Usage (see the README):
+  node scripts/world-110m.js <countries-110m.json> <codes.json> [output]
+
+*/
+
+const fs = require("fs");
+const { mergeArcs } = require("topojson-client");
+
+const [source, codeTable, output = "public/world-110m.json"] = process.argv.slice(2);
+if (!source || !codeTable) {
+  console.error("Usage: node scripts/world-110m.js <countries-110m.json> <codes.json> [output]");
+  process.exit(1);
+}
+
+const topology = JSON.parse(fs.readFileSync(source, "utf8"));
+// [alpha-2, alpha-3, numeric] rows
+const alpha3 = new Map(JSON.parse(fs.readFileSync(codeTable, "utf8")).map(([, a3, numeric]) => [numeric, a3]));
+
+const NAMED = { Kosovo: "XKX" };
+const MERGED = { "N. Cyprus": "Cyprus", Somaliland: "Somalia" };
+
+const geometries = topology.objects.countries.geometries;
+const byName = new Map(geometries.map((g) => [g.properties.name, g]));
+Object.entries(MERGED).forEach(([part, into]) => {
+  if (!byName.has(part) || !byName.has(into)) throw new Error(`${part} or ${into} is not in ${source}`);
+});
+const parts = new Set(Object.keys(MERGED));
+
+const countries = geometries
+  .filter((g) => !parts.has(g.properties.name))
+  .map((g) => {
+    const extra = Object.keys(MERGED)
+      .filter((part) => MERGED[part] === g.properties.name)
+      .map((part) => byName.get(part));
+    const { type, arcs } = extra.length ? mergeArcs(topology, [g, ...extra]) : g;
+    const id = NAMED[g.properties.name] ?? alpha3.get(g.id);
+    return { type, arcs, ...(id ? { id } : {}), properties: g.properties };
+  });
+
+const missing = countries.filter((g) => !g.id).map((g) => g.properties.name);
+if (missing.length) console.warn(`No ISO3 code for: ${missing.join(", ")}`);
+
+fs.writeFileSync(
+  output,
+  JSON.stringify({
+    type: "Topology",
+    bbox: topology.bbox,
+    transform: topology.transform,
+    objects: { countries: { type: "GeometryCollection", geometries: countries } },
+    arcs: topology.arcs,
+  })
+);
+console.log(`Wrote ${countries.length} countries to ${output}`);
@@ -5,46 +5,68 @@ https://github.com/Kcnarf/d3-voronoi-treemap?tab=readme-ov-file
 
 */
 
-import React, { useState, useEffect, useMemo, useRef } from "react";
+import React, { useState, useEffect, useMemo, useRef, useCallback } from "react";
 import * as d3 from "d3";
-import { voronoiTreemap } from "d3-voronoi-treemap";
 import Papa from "papaparse";
-
-const TOP_9 = 9;
+import { Play, Pause, Download, Upload, Pin } from "lucide-react";
+import {
+  polygonTween,
+  collapsedPolygon,
+  nodeKey,
+} from "./voronoiLayout";
+import { layoutTree, requestLayout } from "./layoutCache";
+import { labelLayout, groupsAndCells, drawTreemapCanvas } from "./canvasTreemap";
+import {
+  buildStandaloneSvg,
+  svgToPngBlob,
+  hierarchyToCsv,
+  downloadBlob,
+} from "./exportChart";
+import { readViewState, writeViewState } from "./urlState";
+import { validateData, isMissing, numericColumns, fieldValue, toNumber, oncePerCountry } from "./dataQuality";
+import ColumnMappingPanel, {
+  resolveColumnMapping,
+  saveColumnMapping,
+  applyColumnMapping,
+  mappedFields,
+} from "./ColumnMapping";
+import CountryDetailPanel from "./CountryDetail";
+import ComparisonTable, { isPercentColumn } from "./ComparisonTable";
+import CountrySearch from "./CountrySearch";
+import ScatterPlot from "./ScatterPlot";
+import ChoroplethMap from "./ChoroplethMap";
+import RankView from "./RankView";
+import { aggregateLines, aggregateStats } from "./aggregates";
+import { SCHEMES, encodingScale, encodingLegend, opacityScale } from "./colorEncoding";
+import { PALETTES, labelColor } from "./palettes";
+import { NORMALIZATIONS, normalizationsFor, makeMeasure } from "./normalization";
+import { MAKEUP_VIEWS, makeupLegend } from "./makeup";
+import { formatNumber, formatCurrency, formatPercent, NOT_AVAILABLE } from "./format";
+import {
+  GROUPINGS,
+  groupingLevels,
+  groupBorderWidth,
+  regionMapping,
+  savedRegionMapping,
+  saveRegionMapping,
+} from "./grouping";
+
+// Countries shown individually per group before the rest are merged into "Others"
+const DEFAULT_TOP_N = 9;
+
+const DEFAULT_GROUP_BY = ["continent"];
+const DEFAULT_LEVELS = groupingLevels(DEFAULT_GROUP_BY);
+
+// Above this many cells and makeup components the chart is painted on a canvas
+const CANVAS_THRESHOLD = 400;
 
 // Load csv which lives on site's root
 const CSV_PATH =
   new URLSearchParams(window.location.search).get('src') ||
   `${process.env.PUBLIC_URL}/countries.csv`;
 
-const continentColors = {
-  Africa: "#7f5539",
-  Asia: "#0015ff",
-  Europe: "#ff7d00",
-  "North America": "#073b4c",
-  "South America": "#8ac926",
-  Oceania: "#ff006d",
-};
-
-const gdpComponentColors = {
-  "Agriculture (% GDP)": "#228B22",
-  "Industry (% GDP)": "#4169E1",
-  "Service (% GDP)": "#FFD700",
-  "Export (% GDP)": "#8B008B",
-  "Import (% GDP)": "#FF4500",
-  Other: "#E0E0E0",
-};
-
-function getInflationColor(inflationRate) {
-  if (inflationRate === null || inflationRate === undefined || isNaN(inflationRate)) return "#FFFFFF";
-  if (inflationRate < 0) {
-    const intensity = Math.min(Math.abs(inflationRate) * 20, 255);
-    return `rgb(255, ${255 - intensity}, ${255 - intensity})`; // red-ish for deflation magnitude
-  } else {
-    const intensity = Math.min(inflationRate * 20, 255);
-    return `rgb(${255 - intensity}, 255, ${255 - intensity})`; // green-ish for inflation magnitude
-  }
-}
+// View state linked to in the URL, applied once the data has loaded
+const initialView = readViewState(window.location.search);
 
 function getOpacity(unemployment) {
   if (unemployment === null) return 1;
@@ -59,33 +81,242 @@ function getOpacity(unemployment) {
   return BASE_OPACITY + ((opacity - BASE) / (MAX - BASE)) * (MAX_OPACITY - BASE_OPACITY);
 }
 
-function calcMakeup(record) {
-  const parts = {
-    "Agriculture (% GDP)": Number(record["Agriculture (% GDP)"]) || 0,
-    "Industry (% GDP)": Number(record["Industry (% GDP)"]) || 0,
-    "Service (% GDP)": Number(record["Service (% GDP)"]) || 0,
-    "Export (% GDP)": Number(record["Export (% GDP)"]) || 0,
-    "Import (% GDP)": Number(record["Import (% GDP)"]) || 0,
-  };
-  const sum = Object.values(parts).reduce((s, v) => s + v, 0);
-  if (sum <= 0) return {};
-  // Normalize to percentages
-  for (const key in parts) {
-    parts[key] = (parts[key] / sum) * 100;
+// Columns that can drive cell area, keyed by their CSV header
+const sizeMetrics = {
+  GDP: {
+    label: "GDP",
+    money: true,
+    format: formatCurrency,
+  },
+  Population: {
+    label: "Population",
+    format: (v) => `${formatNumber(v)} people`,
+  },
+  Land: {
+    label: "Land Area",
+    perCapitaScale: 1e6,
+    perCapitaUnit: "m² per person",
+    format: (v) => `${formatNumber(v, { compact: false, digits: 0 })} km²`,
+  },
+  Export: {
+    label: "Exports",
+    money: true,
+    format: formatCurrency,
+  },
+  Import: {
+    label: "Imports",
+    money: true,
+    format: formatCurrency,
+  },
+  // Net trade can be negative, so the cell area uses its magnitude
+  "Net Trade": {
+    label: "Net Trade",
+    money: true,
+    absolute: true,
+    format: formatCurrency,
+  },
+  "Education Expenditure": {
+    label: "Education Expenditure",
+    money: true,
+    format: formatCurrency,
+  },
+  "Health Expenditure": {
+    label: "Health Expenditure",
+    money: true,
+    format: formatCurrency,
+  },
+};
+
+// Size value in the chosen normalization, see makeMeasure
+function formatMeasure(measure, value) {
+  if (value == null || isNaN(value)) return NOT_AVAILABLE;
+  return measure.format(value);
+}
+
+// Any numeric column, for tables that list every indicator
+function formatColumn(column, value) {
+  if (value == null || isNaN(value)) return NOT_AVAILABLE;
+  if (sizeMetrics[column]) return sizeMetrics[column].format(value);
+  if (isPercentColumn(column)) return formatPercent(value);
+  if (column === "GDP Per Capita") return formatCurrency(value, { compact: false });
+  if (column === "R&D") return formatCurrency(value);
+  return formatNumber(value);
+}
+
+// Any column of the row a country cell was built from; null for Others and blanks
+function recordValue(country, column) {
+  return fieldValue(country.record, column);
+}
+
+// First and last year of the rows, or null when no row has a numeric year
+function yearRange(rows) {
+  const [min, max] = d3.extent(rows, (r) => r.Year);
+  return min === undefined ? null : [min, max];
+}
+
+// Area contribution of a row for the chosen size metric; valueOf applies a normalization
+function sizeOf(record, metric, valueOf = (r) => Number(r[metric])) {
+  const v = valueOf(record);
+  if (v === null || !isFinite(v)) return 0;
+  return sizeMetrics[metric].absolute ? Math.abs(v) : v;
+}
+
+// Percent GDP change between the compared years; red for decline, blue for growth
+const growthScale = d3.scaleDiverging([-50, 0, 100], d3.interpolateRdBu).clamp(true);
+const growthColor = (growth) => (growth == null ? "#ccc" : growthScale(growth));
+
+function growthTooltip(comparison) {
+  if (!comparison) return "";
+  const { fromYear, toYear, from, to, growth } = comparison;
+  return `GDP ${fromYear}: ${formatCurrency(from || null)}<br/>
+    GDP ${toYear}: ${formatCurrency(to || null)}<br/>
+    Growth: ${formatPercent(growth, { signed: true })}<br/>`;
+}
+
+// Columns countryTooltip always lists
+const countryTooltipColumns = [
+  "GDP",
+  "GDP Per Capita",
+  "Agriculture (% GDP)",
+  "Service (% GDP)",
+  "Industry (% GDP)",
+  "Inflation Rate",
+  "Unemployment",
+];
+
+// Tooltip for a country (or Others) cell; also read out to screen readers.
+// extraColumns are the columns driving color, border or opacity when the
+// tooltip doesn't already list them
+function countryTooltip(country, measure, extraColumns = []) {
+  if (country.isOthers) {
+    return `<strong>${country.name}</strong><br/>
+      ${country.count} countries, ${formatMeasure(measure, country.sizeValue)}<br/>
+      ${growthTooltip(country.comparison)}
+      Click to see them individually`;
   }
-  return parts;
+  return `<strong>${country.name} - ${country.continent ?? "Unknown"}</strong><br/>
+    GDP: ${formatCurrency(country.gdp)}<br/>
+    ${measure.isDefault ? "" : `${measure.label}: ${formatMeasure(measure, country.sizeValue)}<br/>`}
+    GDP Per Capita: ${formatCurrency(country.gpdpercapita, { compact: false })}<br/>
+    Agriculture(% GDP): ${formatPercent(country.agriculture)}<br/>
+    Service(% GDP): ${formatPercent(country.service)}<br/>
+    Industry(% GDP): ${formatPercent(country.industry)}<br/>
+    Inflation Rate: ${formatPercent(country.inflation)}<br/>
+    Unemployment Rate: ${formatPercent(country.unemployment)}<br/>
+    ${extraColumns.map((c) => `${c}: ${formatColumn(c, recordValue(country, c))}<br/>`).join("")}
+    ${growthTooltip(country.comparison)}`;
+}
 
+// A group's totals for the year, see aggregates.js
+function groupTooltip(group) {
+  return `<strong>${group.name}</strong><br/>
+    ${aggregateLines(group.stats).map(([label, value]) => `${label}: ${value}<br/>`).join("")}
+    Click to zoom in`;
 }
 
-function numberConversion(value) {
-  if (value == null || isNaN(value)) return "N/A";
-  return (value / 1e12).toFixed(2) + "T";
+function tooltipText(html) {
+  return html
+    .replace(/<br\/?>/g, ". ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/\s+/g, " ")
+    .replace(/(\. )+/g, ". ")
+    .trim();
 }
 
-function buildHierarchy(rows, year, selectedCountries, selectedContinents) {
-  let yearRows = rows.filter(
-    (r) => Number(r.Year) === Number(year) && r["Country Name"] && Number(r.GDP) > 0
-  );
+const ARROW_KEYS = {
+  ArrowRight: [1, 0],
+  ArrowLeft: [-1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
+
+// Nearest point ahead in the arrow's direction, preferring points straight ahead
+function nearestInDirection(points, from, [dx, dy]) {
+  let best = null;
+  let bestScore = Infinity;
+  points.forEach((p) => {
+    const ox = p.x - from.x;
+    const oy = p.y - from.y;
+    const along = ox * dx + oy * dy;
+    if (along <= 0) return;
+    const score = along + 2 * Math.abs(ox * dy - oy * dx);
+    if (score < bestScore) {
+      best = p;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// Adds GDP in both compared years and the growth between them to every country
+// node. Others nodes compare the same member countries in both years
+function withGrowth(hierarchy, fromGdp, toGdp, fromYear, toYear) {
+  const total = (names, gdp) => d3.sum(names, (n) => gdp.get(n) || 0);
+  return mapCountries(hierarchy, (c) => {
+    const names = countryNames(c);
+    const from = total(names, fromGdp);
+    const to = total(names, toGdp);
+    return {
+      ...c,
+      comparison: {
+        fromYear,
+        toYear,
+        from,
+        to,
+        growth: from > 0 && to > 0 ? ((to - from) / from) * 100 : null,
+      },
+    };
+  });
+}
+
+// A country's row as the stats that tooltips, tables and encodings read;
+// valueOf gives its size value (see makeMeasure)
+function countryStats(r, valueOf) {
+  return {
+    name: r["Country Name"],
+    continent: r["Continent Name"] || "Unknown",
+    record: r, // for encodings of arbitrary columns, see recordValue
+    gdp: Number(r.GDP) || null,
+    sizeValue: valueOf(r),
+    // Raw numbers (null when blank); see format.js for display
+    unemployment: fieldValue(r, "Unemployment"),
+    inflation: fieldValue(r, "Inflation Rate"),
+    service: fieldValue(r, "Service (% GDP)"),
+    import: fieldValue(r, "Import (% GDP)"),
+    export: fieldValue(r, "Export (% GDP)"),
+    agriculture: fieldValue(r, "Agriculture (% GDP)"),
+    industry: fieldValue(r, "Industry (% GDP)"),
+    gpdpercapita: fieldValue(r, "GDP Per Capita"),
+    education: fieldValue(r, "Education Expenditure"),
+    health: fieldValue(r, "Health Expenditure"),
+  };
+}
+
+// levels come from groupingLevels, outermost first; without
+// any level the countries sit directly in the world. focus narrows the tree to
+// one group ({ path: [group names from the top] }) or to the countries merged
+// into its Others cell ({ path, others: true })
+function buildHierarchy(
+  rows,
+  year,
+  selectedCountries,
+  selectedContinents,
+  {
+    sizeMetric = "GDP",
+    topN = DEFAULT_TOP_N,
+    levels = DEFAULT_LEVELS,
+    makeup = "sector", // see MAKEUP_VIEWS
+    focus = null,
+    valueOf = (r) => Number(r[sizeMetric]),
+    // value of an Others cell; absolute sums magnitudes, for the area of metrics like Net Trade
+    aggregate = (rs, { absolute = false } = {}) =>
+      d3.sum(rs, (r) => (absolute ? Math.abs(valueOf(r)) : valueOf(r)) || 0),
+  } = {}
+) {
+  const size = (r) => sizeOf(r, sizeMetric, valueOf);
+  const allYearRows = rows.filter((r) => Number(r.Year) === Number(year) && r["Country Name"]);
+  const worldGdp = aggregateStats(allYearRows).gdp;
+  let yearRows = allYearRows;
 
   // Respect UI filters
   if (selectedCountries.size > 0) {
@@ -94,67 +325,60 @@ function buildHierarchy(rows, year, selectedCountries, selectedContinents) {
   if (selectedContinents.size > 0) {
     yearRows = yearRows.filter(r => selectedContinents.has(r["Continent Name"]));
   }
-
-  // group by continent
-  const byCont = d3.group(yearRows, (d) => d["Continent Name"] || "Unknown");
-
-  const continentNodes = [];
-  for (const [cont, items] of byCont.entries()) {
-    // top 9 per continent
-    const top = items
-      .slice()
-      .sort((a, b) => Number(b.GDP) - Number(a.GDP))
-      .slice(0, TOP_9);
-
-    // build country nodes
-    const countries = top.map((r) => {
-      const base = {
-        name: r["Country Name"],
-        continent: cont || "Unknown",
-        unemployment: Number(r.Unemployment) ?? null,
-        inflation: Number(r["Inflation Rate"]).toFixed(0),
-        service: Number(r["Service (% GDP)"]).toFixed(0),
-        import: Number(r["Import (% GDP)"]).toFixed(0),
-        export: Number(r["Export (% GDP)"]).toFixed(0),
-        agriculture: Number(r["Agriculture (% GDP)"]).toFixed(0),
-        industry: Number(r["Industry (% GDP)"]).toFixed(0),
-        gpdpercapita: Number(r["GDP Per Capita"]).toFixed(2),
-        education: Number(r["Education Expenditure"]).toFixed(0),
-        health: Number(r["Health Expenditure"]).toFixed(0)
+  if (focus) {
+    yearRows = yearRows.filter((r) => focus.path.every((name, i) => levels[i]?.groupOf(r) === name));
+  }
+  // The summary covers every filtered country, whatever the size metric
+  const stats = aggregateStats(yearRows, worldGdp);
+  yearRows = yearRows.filter((r) => size(r) > 0);
+
+  const countryNode = (r) => {
+    const base = countryStats(r, valueOf);
+
+    // optional GDP makeup children (sum equals the cell's size)
+    const cellSize = size(r);
+    const view = MAKEUP_VIEWS[makeup];
+    const breakdown = view.breakdown(r);
+    const parts = (breakdown?.parts || []).filter((p) => p.weight > 0.0001);
+
+    if (parts.length > 0 && !base.name.startsWith("Others (")) {
+      return {
+        ...base,
+        makeupNote: breakdown.note ?? null,
+        children: parts.map((p) => ({
+          name: p.key,
+          label: view.components[p.key],
+          percent: p.percent, // share of GDP, shown in the tooltip
+          value: cellSize * (p.weight / 100),
+        })),
       };
+    }
+    return { ...base, value: cellSize };
+  };
 
-      // optional GDP makeup children (sum equals GDP)
-      const makeup = calcMakeup(r);
-      const entries = Object.entries(makeup).filter(([, pct]) => pct > 0.0001);
-
-      if (entries.length > 0 && !base.name.startsWith("Others (")) {
-        return {
-          ...base,
-          children: entries.map(([label, pct]) => ({
-            name: label,
-            value: (Number(r.GDP) || 0) * (pct / 100),
-          })),
-        };
-      } else {
-        return {
-          ...base,
-          value: Number(r.GDP) || 0,
-        };
-      }
-    });
-
-      const rest = items
-    .slice()
-    .sort((a, b) => Number(b.GDP) - Number(a.GDP))
-    .slice(TOP_9);
+  // top N per innermost group; inside an Others drill-down every remaining country gets its own cell
+  const countryNodes = (items, path) => {
+    const ranked = oncePerCountry(items).sort((a, b) => size(b) - size(a));
+    const top = focus?.others ? ranked.slice(topN) : ranked.slice(0, topN);
+    const rest = focus?.others ? [] : ranked.slice(topN);
+    const countries = top.map(countryNode);
 
-  const othersGDP = d3.sum(rest, (r) => Number(r.GDP) || 0);
+    const othersValue = aggregate(rest);
+    const othersSize = sizeMetrics[sizeMetric].absolute ? aggregate(rest, { absolute: true }) : othersValue;
 
-    if (othersGDP > 0) {
+    if (othersSize > 0) {
+      const continents = new Set(rest.map((r) => r["Continent Name"] || "Unknown"));
       countries.push({
-        name: `Others (${cont})`,
-        continent: cont || "Unknown",
-        value: othersGDP,
+        name: path.length ? `Others (${path.join(", ")})` : "Others",
+        continent: continents.size === 1 ? [...continents][0] : "Several continents",
+        groupPath: path,
+        isOthers: true,
+        count: rest.length,
+        members: rest.map((r) => r["Country Name"]),
+        record: null,
+        value: othersSize,
+        gdp: d3.sum(rest, (r) => Number(r.GDP) || 0),
+        sizeValue: othersValue,
         unemployment: null,
         inflation: null,
         gpdpercapita: null,
@@ -167,35 +391,591 @@ function buildHierarchy(rows, year, selectedCountries, selectedContinents) {
         export: null,
       });
     }
+    return countries;
+  };
+
+  // group nodes have no direct value; their size derives from their children
+  const groupNodes = (items, path) =>
+    path.length === levels.length
+      ? countryNodes(items, path)
+      : [...d3.group(items, levels[path.length].groupOf)].map(([name, members]) => ({
+          name,
+          group: true,
+          path: [...path, name],
+          stats: aggregateStats(members, worldGdp), // see aggregates.js
+          children: groupNodes(members, [...path, name]),
+        }));
+
+  return { name: "World", stats, children: groupNodes(yearRows, []) };
+}
+
+// Country and Others nodes of a tree from buildHierarchy, with the names of
+// the groups they're in
+function countryCells(hierarchy) {
+  return (hierarchy?.children || []).flatMap((node) =>
+    node.group ? countryCells(node).map((c) => ({ ...c, path: [node.name, ...c.path] })) : [{ country: node, path: [] }]
+  );
+}
+
+// Copy of the tree with fn applied to every country and Others node
+function mapCountries(hierarchy, fn) {
+  return {
+    ...hierarchy,
+    children: hierarchy.children.map((node) => (node.group ? mapCountries(node, fn) : fn(node))),
+  };
+}
+
+// The zoom one level up from focus; null is the whole world
+function zoomOut(focus) {
+  if (focus?.others && focus.path.length) return { path: focus.path };
+  return focus?.path.length > 1 ? { path: focus.path.slice(0, -1) } : null;
+}
 
 
-    // continent node (no direct value; its size derives from its children)
-    continentNodes.push({
-      name: cont,
-      continent: cont,
-      children: countries
+const NO_ROWS = [];
+
+// Parses a URL (with download), File or CSV text with the same settings for
+// every source, then calls onLoad({ raw: { data, fields, errors }, error })
+function loadCSV(input, onLoad, download = false) {
+  Papa.parse(input, {
+    download,
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    complete: ({ data, meta, errors }) => {
+      onLoad({ raw: { data, fields: meta.fields || [], errors }, error: null });
+    },
+    error: (err) => {
+      console.error("CSV load error:", err);
+      onLoad({ raw: null, error: err?.message || String(err) });
+    },
+  });
+}
+
+// Reads a region mapping file: a CSV with country and region columns, or JSON
+// as { country: region } or a list of rows. Calls onLoad({ regions, error })
+function loadRegionFile(file, onLoad) {
+  const done = (records, fields) => {
+    const map = regionMapping(records, fields);
+    onLoad(
+      map.size
+        ? { regions: { name: file.name, map }, error: null }
+        : { regions: null, error: `${file.name} has no country and region columns.` }
+    );
+  };
+  const fail = (err) => {
+    console.error("Region mapping load error:", err);
+    onLoad({ regions: null, error: err?.message || String(err) });
+  };
+
+  if (/\.json$/i.test(file.name)) {
+    file
+      .text()
+      .then((text) => {
+        const json = JSON.parse(text);
+        const records = Array.isArray(json)
+          ? json
+          : Object.entries(json).map(([country, region]) => ({ country, region }));
+        done(records, Object.keys(records[0] || {}));
+      })
+      .catch(fail);
+  } else {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      complete: ({ data, meta }) => done(data, meta.fields || []),
+      error: fail,
     });
   }
+}
 
-  return { name: "World", children: continentNodes };
+// Applies the column mapping, then normalizes and validates the rows
+function prepareDataset(raw, mapping) {
+  if (!raw) return { rows: NO_ROWS, report: null };
+  const data = applyColumnMapping(raw.data, mapping);
+
+  // Papa turns blank cells into null with dynamicTyping
+  const parsedData = data.map((r) => ({
+    ...r,
+    Year: Number(r.Year),
+    GDP: Number(r.GDP),
+    Unemployment: toNumber(r.Unemployment),
+    "Inflation Rate": toNumber(r["Inflation Rate"]),
+  }));
+
+  const report = validateData(data, mappedFields(raw.fields, mapping), raw.errors);
+  return { rows: report.renderable ? parsedData : NO_ROWS, report };
 }
 
+// Thickens a cell's border three times, for the country picked in the search box
+function pulse(cell) {
+  const width = cell.attr("stroke-width");
+  d3.range(3).reduce(
+    (tr) => tr.transition().duration(250).attr("stroke-width", 8).transition().duration(250).attr("stroke-width", width),
+    cell.interrupt("pulse").transition("pulse").duration(0)
+  );
+}
+
+// Fill, border, opacity, labels and tooltip of each country cell. Shared by
+// the SVG and canvas renderers, so both draw the same chart
+function cellStyler({
+  displayMode,
+  useOpacity,
+  measure, // size metric and normalization, see makeMeasure
+  fillFor = null, // overrides the continent/makeup fill, e.g. with growth colors
+  palette = PALETTES.default,
+  borderFor = (country) => palette.inflation(country.inflation),
+  opacityFor = (country) => getOpacity(country.unemployment), // used when useOpacity is on
+  tooltipColumns = [],
+  highlight = null, // { country, id } picked in the search box
+}) {
+  return (node) => {
+    const country = node.data;
+    const subdivided = !fillFor && displayMode === "makeup" && node.children && node.children.length > 0;
+    // Filled in name mode, border only on top of the components otherwise
+    const fill = subdivided ? "none" : fillFor ? fillFor(country) : palette.continents[country.continent] || "#ccc";
+    // The searched country stands out and everything else fades
+    const isHighlighted = Boolean(highlight) && countryNames(country).includes(highlight.country);
+    return {
+      subdivided,
+      fill,
+      fillOpacity: useOpacity ? opacityFor(country) : 1,
+      stroke: borderFor(country),
+      textColor: labelColor(fill, palette),
+      label: formatMeasure(measure, country.sizeValue),
+      html: countryTooltip(country, measure, tooltipColumns),
+      isHighlighted,
+      dimmed: Boolean(highlight) && !isHighlighted,
+    };
+  };
+}
+
+// Countries behind a cell: the country itself, or the members of an Others cell
+function countryNames(country) {
+  return country.isOthers ? country.members : [country.name];
+}
+
+// One GDP makeup component of a country cell; see makeup.js
+function componentTooltip(node, compNode) {
+  const country = node.data;
+  const { label, percent } = compNode.data;
+  return `<strong>${country.name} - ${label}</strong><br/>
+    Value: ${formatCurrency(country.gdp * (percent / 100))}<br/>
+    Percentage of Total GDP: ${formatPercent(percent)}${country.makeupNote ? `<br/>${country.makeupNote}` : ""}`;
+}
+
+// d3.hierarchy of the tree, with every node's polygon taken from a requestLayout result
+function layoutRoot(hierarchy, layout) {
+  const root = d3
+    .hierarchy(hierarchy)
+    .sum((d) => d.value || 0)
+    .sort((a, b) => (b.value || 0) - (a.value || 0));
+
+  // https://github.com/d3/d3-hierarchy?tab=readme-ov-file
+  // allowed for sectioning of polygons; computed off the main thread, see layoutCache.js
+  root.each((node) => {
+    node.polygon = layout.polygons.get(nodeKey(node));
+  });
+  return root;
+}
+
+// Draws (or updates) a treemap into svgNode, morphing cells from what it showed before.
+// layout holds the polygons from requestLayout for this hierarchy and size
+function drawTreemap(
+  svgNode,
+  hierarchy,
+  {
+    width: w,
+    height: h,
+    layout,
+    duration,
+    tooltip,
+    focus,
+    onFocus,
+    onAnnounce,
+    onSelect,
+    onHover = () => {}, // names of the hovered cell's countries, or null
+    ...styleOptions // see cellStyler
+  }
+) {
+  const { palette = PALETTES.default, highlight = null } = styleOptions;
+  const styleOf = cellStyler(styleOptions);
+  const svg = d3.select(svgNode).attr("viewBox", `0 0 ${w} ${h}`);
+  const t = svg.transition().duration(duration).ease(d3.easeCubicInOut);
+
+  const root = layoutRoot(hierarchy, layout);
+
+  // Morph each path from the polygon it showed last to its new one. A cached
+  // layout hands back the same polygons, so restyling leaves the paths alone
+  function morphTo(selection) {
+    selection.attrTween("d", function (d) {
+      if (this.__polygon === d.polygon) return null;
+      const from = this.__polygon || collapsedPolygon(d.polygon);
+      this.__polygon = d.polygon;
+      return polygonTween(from, d.polygon);
+    });
+  }
+
+  const moveTooltip = (event) => {
+    tooltip
+      .style("left", event.pageX + 10 + "px")
+      .style("top", event.pageY + 10 + "px");
+  };
+
+  let highlighted = null; // cell of the searched country, or of the Others cell holding it
+  if (!highlight) svgNode.__highlightId = null;
+
+  const { groups, cells } = groupsAndCells(root);
+  // Borders of the groups one level below the zoom can be clicked to zoom in
+  const zoomDepth = focus?.others ? null : (focus?.path.length ?? 0) + 1;
+
+  let gCells = svg.select("g.cells");
+  if (gCells.empty()) gCells = svg.append("g").attr("class", "cells");
+  let gGroups = svg.select("g.groups");
+  if (gGroups.empty()) gGroups = svg.append("g").attr("class", "groups");
+
+  // Cells are keyed by their groups and name so they persist between years
+  const gCountry = gCells
+    .selectAll("g.country")
+    .data(cells, nodeKey)
+    .join(
+      (enter) => {
+        const g = enter.append("g").attr("class", "country");
+        g.append("g").attr("class", "components").attr("aria-hidden", "true");
+        g.append("path").attr("class", "cell").attr("role", "button").attr("tabindex", -1);
+        g.append("text")
+          .attr("class", "label-name")
+          .attr("aria-hidden", "true")
+          .attr("text-anchor", "middle")
+          .attr("dominant-baseline", "middle")
+          .style("font-weight", "700")
+          .attr("opacity", 0);
+        g.append("text")
+          .attr("class", "label-value")
+          .attr("aria-hidden", "true")
+          .attr("text-anchor", "middle")
+          .attr("dominant-baseline", "hanging")
+          .attr("opacity", 0);
+        return g;
+      },
+      // Back before its exit transition finished removing it
+      (update) => update.interrupt().classed("exiting", false).style("opacity", null),
+      (exit) => exit.classed("exiting", true).transition(t).style("opacity", 0).remove()
+    );
+
+  gCountry.each(function (node) {
+    const g = d3.select(this);
+    const country = node.data;
+    const style = styleOf(node);
+    const { subdivided, fillOpacity, html } = style;
+    const borderColor = style.stroke;
+    const labels = labelLayout(node.polygon);
+
+    // GDP makeup components, only drawn in makeup mode
+    const gComp = g
+      .select("g.components")
+      .selectAll("g.component")
+      .data(subdivided ? node.children.filter((c) => c.polygon) : [], (c) => c.data.name)
+      .join((enter) => {
+        const cg = enter.append("g").attr("class", "component");
+        cg.append("path")
+          .attr("class", "fill")
+          .attr("stroke", "rgba(0,0,0,0.05)")
+          .attr("stroke-width", 1);
+        cg.append("path")
+          .attr("class", "highlight")
+          .attr("fill", "none")
+          .attr("stroke", "white")
+          .attr("stroke-width", 4)
+          .attr("opacity", 0)
+          .attr("pointer-events", "none");
+        return cg;
+      });
+
+    gComp
+      .select("path.fill")
+      .attr("fill", (c) => palette.components[c.data.name] || "#ddd")
+      .attr("fill-opacity", fillOpacity)
+      .transition(t)
+      .call(morphTo);
+
+    gComp.select("path.highlight").transition(t).call(morphTo);
+
+    gComp
+      .on("mouseover", function (event, compNode) {
+        d3.select(this).select("path.highlight").attr("opacity", 1);
+        tooltip.html(componentTooltip(node, compNode)).style("opacity", 1);
+      })
+      .on("mousemove", moveTooltip)
+      .on("mouseleave", function () {
+        d3.select(this).select("path.highlight").attr("opacity", 0);
+        tooltip.style("opacity", 0);
+      });
+
+    const cell = g
+      .select("path.cell")
+      .attr("fill", style.fill)
+      .attr("fill-opacity", fillOpacity)
+      .attr("stroke-width", 2)
+      .attr("pointer-events", subdivided ? "none" : null);
+
+    cell.transition(t).attr("stroke", borderColor).call(morphTo);
+
+    g.attr("opacity", style.dimmed ? 0.25 : null);
+    if (style.isHighlighted && !highlighted) highlighted = { cell, html };
+
+    cell
+      .attr("aria-label", tooltipText(html))
+      .style("cursor", country.isOthers ? "zoom-in" : "pointer")
+      .on("click", () => {
+        tooltip.style("opacity", 0);
+        if (country.isOthers) onFocus({ path: country.groupPath, others: true });
+        else onSelect(country.name);
+      })
+      .on("mouseover", () => {
+        tooltip.html(html).style("opacity", 1);
+        onHover(countryNames(country));
+      })
+      .on("mousemove", moveTooltip)
+      .on("mouseleave", () => {
+        tooltip.style("opacity", 0);
+        onHover(null);
+      })
+      // Keyboard focus shows the same tooltip next to the cell and announces it
+      .on("focus", function () {
+        svgNode.__activeKey = nodeKey(node);
+        svg.selectAll("path.cell").attr("tabindex", -1);
+        const rect = this.getBoundingClientRect();
+        d3.select(this).attr("tabindex", 0).attr("stroke", palette.text).attr("stroke-width", 4);
+        tooltip
+          .html(html)
+          .style("opacity", 1)
+          .style("left", `${rect.right + window.scrollX + 10}px`)
+          .style("top", `${rect.top + window.scrollY}px`);
+        onAnnounce(tooltipText(html));
+      })
+      .on("blur", function () {
+        d3.select(this).attr("stroke", borderColor).attr("stroke-width", 2);
+        tooltip.style("opacity", 0);
+      });
+
+    // Labels follow the centroid and fade out when the cell gets too small
+    g.select("text.label-name")
+      .attr("fill", style.textColor)
+      .text(country.name)
+      .transition(t)
+      .attr("x", labels.name.x)
+      .attr("y", labels.name.y)
+      .style("font-size", `${labels.name.size}px`)
+      .attr("opacity", labels.name.visible ? 1 : 0);
+
+    g.select("text.label-value")
+      .attr("fill", style.textColor)
+      .text(style.label)
+      .transition(t)
+      .attr("x", labels.value.x)
+      .attr("y", labels.value.y)
+      .style("font-size", `${labels.value.size}px`)
+      .attr("opacity", labels.value.visible ? 1 : 0);
+  });
+
+  // A new search result pulses, then shows its tooltip once the cells have settled
+  if (highlighted && svgNode.__highlightId !== highlight.id) {
+    svgNode.__highlightId = highlight.id;
+    pulse(highlighted.cell);
+    t.end()
+      .then(() => {
+        const rect = highlighted.cell.node().getBoundingClientRect();
+        tooltip
+          .html(highlighted.html)
+          .style("opacity", 1)
+          .style("left", `${rect.right + window.scrollX + 10}px`)
+          .style("top", `${rect.top + window.scrollY}px`);
+      })
+      .catch(() => {}); // interrupted by the next draw
+  }
+
+  // Keyboard navigation; one cell at a time is in the tab order (roving tabindex)
+  const cellNodes = gCells.selectAll("g.country:not(.exiting) path.cell").nodes();
+  const cellPoints = cellNodes.map((el) => {
+    const node = d3.select(el).datum();
+    const [x, y] = d3.polygonCentroid(node.polygon);
+    return { el, node, x, y };
+  });
+  const active = cellNodes.find((el) => nodeKey(d3.select(el).datum()) === svgNode.__activeKey) || cellNodes[0];
+  cellNodes.forEach((el) => el.setAttribute("tabindex", el === active ? 0 : -1));
+
+  svg.on("keydown", (event) => {
+    const from = cellPoints.find((p) => p.el === event.target);
+    if (!from) return;
+    let next = null;
+
+    if (ARROW_KEYS[event.key] && event.shiftKey) {
+      // Jump to the largest country of the neighbouring innermost group
+      const group = from.node.parent;
+      const groupPoints = groups
+        .filter((c) => c.depth === group.depth && c !== group)
+        .map((c) => {
+          const [x, y] = d3.polygonCentroid(c.polygon);
+          return { group: c, x, y };
+        });
+      const [x, y] = d3.polygonCentroid(group.polygon);
+      const target = nearestInDirection(groupPoints, { x, y }, ARROW_KEYS[event.key]);
+      next = target && cellPoints.find((p) => p.node.parent === target.group);
+    } else if (ARROW_KEYS[event.key]) {
+      next = nearestInDirection(cellPoints, from, ARROW_KEYS[event.key]);
+    } else if (event.key === "Home") {
+      next = cellPoints[0];
+    } else if (event.key === "End") {
+      next = cellPoints[cellPoints.length - 1];
+    } else if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      const zoomTarget = from.node.ancestors().find((a) => a.depth === zoomDepth && a.data.group);
+      if (event.shiftKey && zoomTarget) {
+        onFocus({ path: zoomTarget.data.path });
+      } else {
+        d3.select(from.el).dispatch("click");
+      }
+      return;
+    } else if (event.key === "Escape" && focus) {
+      event.preventDefault();
+      onFocus(zoomOut(focus));
+      return;
+    }
+
+    if (next) {
+      event.preventDefault();
+      next.el.focus();
+    }
+  });
+
+  // Group outlines sit on top of the countries, thinner for each level down;
+  // a wide transparent stroke makes them clickable
+  const gGroup = gGroups
+    .selectAll("g.group")
+    .data(groups, nodeKey)
+    .join(
+      (enter) => {
+        const g = enter.append("g").attr("class", "group");
+        g.append("path").attr("class", "outline").attr("fill", "none").attr("pointer-events", "none");
+        g.append("path")
+          .attr("class", "hit")
+          .attr("aria-hidden", "true")
+          .attr("fill", "none")
+          .attr("stroke", "transparent")
+          .attr("stroke-width", 10)
+          .style("cursor", "zoom-in");
+        return g;
+      },
+      (update) => update.interrupt().classed("exiting", false).style("opacity", null),
+      (exit) => exit.classed("exiting", true).transition(t).style("opacity", 0).remove()
+    );
+
+  gGroup
+    .select("path.outline")
+    .attr("stroke", palette.outline)
+    .attr("stroke-width", (d) => groupBorderWidth(d.depth))
+    .transition(t)
+    .call(morphTo);
+
+  gGroup
+    .select("path.hit")
+    .attr("pointer-events", (d) => (d.depth === zoomDepth ? "stroke" : "none"))
+    .on("mouseover", (event, d) => {
+      tooltip.html(groupTooltip(d.data)).style("opacity", 1);
+    })
+    .on("mousemove", moveTooltip)
+    .on("mouseleave", () => {
+      tooltip.style("opacity", 0);
+    })
+    .on("click", (event, d) => {
+      tooltip.style("opacity", 0);
+      onFocus({ path: d.data.path });
+    })
+    .transition(t)
+    .call(morphTo);
+}
+
+// Number of elements the SVG renderer would create for the tree's countries
+// and, in makeup mode, their components
+function drawnNodeCount(hierarchy, displayMode) {
+  return d3.sum(countryCells(hierarchy), ({ country }) =>
+    1 + (displayMode === "makeup" ? (country.children || []).length : 0)
+  );
+}
 
 const VoronoiTreemap = () => {
-  const [rows, setRows] = useState([]);
+  const [datasets, setDatasets] = useState([]); // { id, name, source, rows, report, error }
+  const [activeDatasetId, setActiveDatasetId] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [showMapping, setShowMapping] = useState(false);
+  const activeDataset = datasets.find((d) => d.id === activeDatasetId);
+  const rows = activeDataset?.rows ?? NO_ROWS;
+  const dataReport = activeDataset?.report ?? null; // see validateData
+  const loadError = activeDataset?.error ?? null;
   const [yearBounds, setYearBounds] = useState([2000, 2022]); // 2000 to 2022 years
   const [selectedYear, setSelectedYear] = useState(2000);
   const [displayMode, setDisplayMode] = useState("name"); // 'name' or 'makeup'
+  const [makeupView, setMakeupView] = useState("sector"); // see MAKEUP_VIEWS
   const [selectedCountries, setSelectedCountries] = useState(new Set());
   const [selectedContinents, setSelectedContinents] = useState(new Set());
   const [expandedContinents, setExpandedContinents] = useState(new Set());
   const [useOpacity, setUseOpacity] = useState(true);
+  const [opacityBy, setOpacityBy] = useState("Unemployment");
+  const [colorBy, setColorBy] = useState("default"); // 'default' = continent or makeup colors
+  const [colorScheme, setColorScheme] = useState("sequential"); // see SCHEMES
+  const [colorBreaks, setColorBreaks] = useState("linear"); // 'linear' or 'quantile'
+  const [borderBy, setBorderBy] = useState("Inflation Rate"); // or 'none'
+  const [paletteKey, setPaletteKey] = useState("default"); // see PALETTES
+  const palette = PALETTES[paletteKey];
+  const [sizeMetric, setSizeMetric] = useState("GDP");
+  const [normalization, setNormalization] = useState("nominal"); // see NORMALIZATIONS
+  const [baseYear, setBaseYear] = useState(null); // constant prices; null = last year
+  const [topN, setTopN] = useState(DEFAULT_TOP_N);
+  const [groupBy, setGroupBy] = useState(DEFAULT_GROUP_BY); // GROUPINGS keys, outermost first
+  const [regions, setRegions] = useState(savedRegionMapping); // { name, map } for the region grouping
+  const [regionError, setRegionError] = useState(null);
+  const [focus, setFocus] = useState(null); // null = World, see buildHierarchy
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playSpeed, setPlaySpeed] = useState(1000); // ms per year
+  const [pngScale, setPngScale] = useState(2);
+  const [compareMode, setCompareMode] = useState("off"); // 'off', 'side' or 'delta'
+  const [compareYear, setCompareYear] = useState(null); // null = last year
+  const [announcement, setAnnouncement] = useState(""); // read out by the live region
+  const [detailCountry, setDetailCountry] = useState(null); // country shown in the side panel
+  const [pinned, setPinned] = useState([]); // countries in the comparison table, in pin order
+  const [highlight, setHighlight] = useState(null); // { country, id } chosen in the search box
+  const [linked, setLinked] = useState(null); // { names, from } hovered in the treemap or the scatter plot
+  const effectiveCompareYear = compareYear ?? yearBounds[1];
+  const availableNormalizations = normalizationsFor(sizeMetric, sizeMetrics[sizeMetric]);
+  // Falls back to nominal where the choice doesn't apply, e.g. population per capita
+  const effectiveNormalization = availableNormalizations.includes(normalization) ? normalization : "nominal";
+  const effectiveBaseYear = baseYear ?? yearBounds[1];
+  const measure = useMemo(
+    () => makeMeasure(rows, sizeMetric, sizeMetrics[sizeMetric], effectiveNormalization, effectiveBaseYear),
+    [rows, sizeMetric, effectiveNormalization, effectiveBaseYear]
+  );
+  const levels = useMemo(() => groupingLevels(groupBy, regions?.map), [groupBy, regions]);
 
 
   const wrapperRef = useRef(null);
   const svgRef = useRef(null);
+  const compareSvgRef = useRef(null);
+  const canvasRef = useRef(null);
+  const compareCanvasRef = useRef(null);
   const [dims, setDims] = useState({ w: 1000, h: 700 });
   const toolTipRef = useRef(null); // ref for toolTip object
+  const sitesRef = useRef(new Map()); // last layout's Voronoi sites, keyed by node path
+  const compareSitesRef = useRef(new Map());
+  const pendingViewRef = useRef(initialView); // URL view waiting for rows to load
+  const datasetIdRef = useRef(0);
+
+  // Transitions fill most of a playback step, so the morph keeps moving between years.
+  // A ref so that play/pause doesn't redraw; set before the draw effect below runs
+  const transitionMsRef = useRef(600);
+  useEffect(() => {
+    transitionMsRef.current = isPlaying ? playSpeed * 0.8 : 600;
+  }, [isPlaying, playSpeed]);
 
   // Resize observer for responsive SVG
   useEffect(() => {
@@ -221,38 +1001,88 @@ const VoronoiTreemap = () => {
     return () => ro.disconnect();
   }, []);
 
+  // Adds a parsed dataset to the switcher and shows it
+  const addDataset = useCallback((dataset) => {
+    const id = ++datasetIdRef.current;
+    const mapping = dataset.raw ? resolveColumnMapping(dataset.source, dataset.raw.fields) : {};
+    const prepared = { ...dataset, id, mapping, ...prepareDataset(dataset.raw, mapping) };
+    setDatasets((prev) => [...prev, prepared]);
+    setActiveDatasetId(id);
+    // Ask for a mapping straight away when the headers couldn't be matched
+    setShowMapping(Boolean(prepared.report && !prepared.report.renderable));
+  }, []);
+
+  function updateMapping(dataset, mapping) {
+    saveColumnMapping(dataset.source, mapping);
+    const prepared = prepareDataset(dataset.raw, mapping);
+    setDatasets((prev) => prev.map((d) => (d.id === dataset.id ? { ...d, mapping, ...prepared } : d)));
+    if (prepared.report?.renderable) setShowMapping(false);
+  }
+
   useEffect(() => {
-  function loadCSV() {
-    Papa.parse(CSV_PATH, {
-      download: true,
-      header: true,
-      dynamicTyping: true,
-      skipEmptyLines: true,
-      complete: ({ data }) => {
-        const parsedData = data.map((r) => ({
-          ...r,
-          Year: Number(r.Year),
-          GDP: Number(r.GDP),
-          Unemployment: r.Unemployment !== "" ? Number(r.Unemployment) : null,
-          "Inflation Rate": r["Inflation Rate"] !== "" ? Number(r["Inflation Rate"]) : null,
-        }));
-        setRows(parsedData);
-
-        const years = parsedData.map((r) => r.Year).filter((y) => !isNaN(y));
-        if (years.length) {
-          const min = Math.min(...years);
-          const max = Math.max(...years);
-          setYearBounds([min, max]);
-          setSelectedYear(min);
-        }
-      },
-      error: (err) => {
-        console.error("CSV load error:", err);
-      },
-    });
+    let cancelled = false;
+    loadCSV(CSV_PATH, (result) => {
+      if (!cancelled) addDataset({ name: CSV_PATH.split("/").pop(), source: CSV_PATH, ...result });
+    }, true);
+    return () => {
+      cancelled = true;
+    };
+  }, [addDataset]); // runs once on mount
+
+  // Local files are parsed in the browser and never uploaded anywhere
+  function loadFile(file) {
+    const add = (result) => addDataset({ name: file.name, source: file.name, ...result });
+
+    if (!/\.json$/i.test(file.name) && file.type !== "application/json") {
+      loadCSV(file, add);
+      return;
+    }
+    // JSON goes through the same Papa pipeline as CSVs by way of CSV text
+    file
+      .text()
+      .then((text) => {
+        const parsed = JSON.parse(text);
+        const records = Array.isArray(parsed) ? parsed : parsed.data;
+        if (!Array.isArray(records)) throw new Error("expected an array of records");
+        const columns = [...new Set(records.flatMap((r) => Object.keys(r)))];
+        loadCSV(Papa.unparse(records, { columns }), add);
+      })
+      .catch((err) => add({ raw: null, error: `Invalid JSON: ${err.message}` }));
   }
-  loadCSV();
-  }, []); // runs once on mount
+
+  // Switching datasets starts over from the first year with no filters
+  useEffect(() => {
+    if (!rows.length) return;
+    const bounds = yearRange(rows);
+    if (bounds) {
+      setYearBounds(bounds);
+      setSelectedYear(bounds[0]);
+    }
+    setSelectedCountries(new Set());
+    setSelectedContinents(new Set());
+    setExpandedContinents(new Set());
+    setFocus(null);
+    setBaseYear(null);
+    setDetailCountry(null);
+    setPinned([]);
+    setHighlight(null);
+    setColorBy("default");
+    setBorderBy("Inflation Rate");
+    setOpacityBy("Unemployment");
+  }, [rows]);
+
+  // Step through the years while playing, stopping at the last one
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (selectedYear >= yearBounds[1]) {
+      setIsPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => {
+      setSelectedYear((year) => Math.min(year + 1, yearBounds[1]));
+    }, playSpeed);
+    return () => clearTimeout(timer);
+  }, [isPlaying, playSpeed, selectedYear, yearBounds]);
 
   // Get hierarchical structure of continents and their countries
   const continentCountryMap = useMemo(() => {
@@ -280,233 +1110,671 @@ const VoronoiTreemap = () => {
     return Object.keys(continentCountryMap).sort();
   }, [continentCountryMap]);
 
-  // Get top 5 countries based on current selections
-  const top5Countries = useMemo(() => {
-    if (!rows.length) return [];
-    
-    let filteredRows = rows.filter(
-      (r) => Number(r.Year) === Number(selectedYear) && r["Country Name"] && Number(r.GDP) > 0
+  // One entry per country for the search box, with its ISO code and continent(s)
+  const searchableCountries = useMemo(() => {
+    const byName = new Map();
+    rows.forEach((r) => {
+      const name = r["Country Name"];
+      if (!name) return;
+      const entry = byName.get(name) || { name, code: null, continents: new Set() };
+      if (!entry.code && !isMissing(r["Country Code"])) entry.code = String(r["Country Code"]);
+      if (r["Continent Name"]) entry.continents.add(r["Continent Name"]);
+      byName.set(name, entry);
+    });
+    return [...byName.values()].map(({ continents, ...c }) => ({ ...c, continent: [...continents].join(", ") }));
+  }, [rows]);
+
+  // Columns that color, border and opacity can be mapped to
+  const encodableColumns = useMemo(() => numericColumns(rows), [rows]);
+
+  // Restore a view read from the URL; unknown values fall back to the defaults.
+  // Right after loading, yearBounds still holds the previous dataset's range,
+  // so the caller passes the new one
+  const applyView = useCallback((view, bounds = yearBounds) => {
+    const inBounds = view.year !== null && view.year >= bounds[0] && view.year <= bounds[1];
+    const continents = view.continents.filter((c) => continentCountryMap[c]);
+    const countries = new Set(view.countries);
+    // Countries of selected continents are implied rather than listed in the URL
+    continents.forEach((c) => continentCountryMap[c].forEach((country) => countries.add(country)));
+
+    setSelectedYear(inBounds ? view.year : bounds[0]);
+    setDisplayMode(view.mode === "makeup" ? "makeup" : "name");
+    setMakeupView(MAKEUP_VIEWS[view.makeup] ? view.makeup : "sector");
+    setUseOpacity(view.opacity ?? true);
+    setSizeMetric(sizeMetrics[view.size] ? view.size : "GDP");
+    setNormalization(NORMALIZATIONS[view.normalization] ? view.normalization : "nominal");
+    setBaseYear(view.baseYear >= bounds[0] && view.baseYear <= bounds[1] ? view.baseYear : null);
+    setTopN(view.topN >= 1 && view.topN <= 50 ? view.topN : DEFAULT_TOP_N);
+    setGroupBy(view.groupBy ? [...new Set(view.groupBy)].filter((key) => GROUPINGS[key]) : DEFAULT_GROUP_BY);
+    setSelectedContinents(new Set(continents));
+    setSelectedCountries(countries);
+    setExpandedContinents(new Set(view.expanded));
+    setFocus(view.focus);
+    setCompareMode(["side", "delta"].includes(view.compare) ? view.compare : "off");
+    setCompareYear(view.compareYear >= bounds[0] && view.compareYear <= bounds[1] ? view.compareYear : null);
+    const known = new Set(Object.values(continentCountryMap).flat());
+    setPinned(view.pinned.filter((c) => known.has(c)));
+    const column = (value, fallback, ...extra) =>
+      encodableColumns.includes(value) || extra.includes(value) ? value : fallback;
+    setColorBy(column(view.colorBy, "default"));
+    setColorScheme(SCHEMES[view.colorScheme] ? view.colorScheme : "sequential");
+    setColorBreaks(view.colorBreaks === "quantile" ? "quantile" : "linear");
+    setBorderBy(column(view.borderBy, "Inflation Rate", "none"));
+    setOpacityBy(column(view.opacityBy, "Unemployment"));
+    setPaletteKey(PALETTES[view.palette] ? view.palette : "default");
+  }, [continentCountryMap, yearBounds, encodableColumns]);
+
+  useEffect(() => {
+    if (!availableContinents.length || !pendingViewRef.current) return;
+    applyView(pendingViewRef.current, yearRange(rows) ?? yearBounds);
+    pendingViewRef.current = null;
+  }, [availableContinents, applyView, rows, yearBounds]);
+
+  // Mirror the view into the URL. Bursts (slider drags) are coalesced into one
+  // history entry, and playback replaces the entry instead of adding one per year
+  useEffect(() => {
+    if (!rows.length || pendingViewRef.current) return;
+    const continentCountries = new Set(
+      [...selectedContinents].flatMap((c) => continentCountryMap[c] || [])
+    );
+    const search = writeViewState(
+      {
+        year: selectedYear,
+        mode: displayMode,
+        makeup: makeupView,
+        opacity: useOpacity,
+        size: sizeMetric,
+        normalization: effectiveNormalization,
+        baseYear: effectiveBaseYear,
+        topN,
+        groupBy,
+        continents: selectedContinents,
+        countries: [...selectedCountries].filter((c) => !continentCountries.has(c)),
+        expanded: expandedContinents,
+        focus,
+        compare: compareMode,
+        compareYear: effectiveCompareYear,
+        pinned,
+        colorBy,
+        colorScheme,
+        colorBreaks,
+        borderBy,
+        opacityBy,
+        palette: paletteKey,
+      },
+      window.location.search,
+      {
+        year: yearBounds[0],
+        mode: "name",
+        makeup: "sector",
+        opacity: true,
+        size: "GDP",
+        normalization: "nominal",
+        baseYear: yearBounds[1],
+        topN: DEFAULT_TOP_N,
+        groupBy: DEFAULT_GROUP_BY,
+        compare: "off",
+        compareYear: yearBounds[1],
+        colorBy: "default",
+        colorScheme: "sequential",
+        colorBreaks: "linear",
+        borderBy: "Inflation Rate",
+        opacityBy: "Unemployment",
+        palette: "default",
+      }
     );
+    if (search === window.location.search) return;
 
-    // Apply same filtering logic as buildHierarchy
-    if (selectedCountries.size > 0) {
-      filteredRows = filteredRows.filter(r => selectedCountries.has(r["Country Name"]));
-    }
-    if (selectedContinents.size > 0) {
-      filteredRows = filteredRows.filter(r => selectedContinents.has(r["Continent Name"]));
+    const timer = setTimeout(() => {
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      if (isPlaying) {
+        window.history.replaceState(null, "", url);
+      } else {
+        window.history.pushState(null, "", url);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [
+    rows,
+    yearBounds,
+    continentCountryMap,
+    selectedYear,
+    displayMode,
+    makeupView,
+    useOpacity,
+    sizeMetric,
+    effectiveNormalization,
+    effectiveBaseYear,
+    topN,
+    groupBy,
+    selectedContinents,
+    selectedCountries,
+    expandedContinents,
+    focus,
+    compareMode,
+    effectiveCompareYear,
+    pinned,
+    colorBy,
+    colorScheme,
+    colorBreaks,
+    borderBy,
+    opacityBy,
+    paletteKey,
+    isPlaying,
+  ]);
+
+  // Back/forward steps through earlier views
+  useEffect(() => {
+    function onPopState() {
+      applyView(readViewState(window.location.search));
     }
-
-    // Sort by GDP and take top 5
-    return filteredRows
-      .sort((a, b) => Number(b.GDP) - Number(a.GDP))
-      .slice(0, 5)
-      .map(row => ({
-        name: row["Country Name"],
-        continent: row["Continent Name"],
-        gdp: Number(row.GDP)
-      }));
-  }, [rows, selectedYear, selectedCountries, selectedContinents]);
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, [applyView]);
+
+  // Every year of the selected countries, for the rankings
+  const rankRows = useMemo(
+    () =>
+      rows.filter(
+        (r) =>
+          r["Country Name"] &&
+          (selectedCountries.size === 0 || selectedCountries.has(r["Country Name"])) &&
+          (selectedContinents.size === 0 || selectedContinents.has(r["Continent Name"]))
+      ),
+    [rows, selectedCountries, selectedContinents]
+  );
+  const rankSize = useCallback((r) => sizeOf(r, sizeMetric, measure.valueOf), [sizeMetric, measure]);
 
   const hierarchyData = useMemo(() => {
     if (!rows.length) return null;
-    return buildHierarchy(rows, selectedYear, selectedCountries, selectedContinents);
-  }, [rows, selectedYear, selectedCountries, selectedContinents]);
+    return buildHierarchy(rows, selectedYear, selectedCountries, selectedContinents, {
+      sizeMetric,
+      topN,
+      levels,
+      makeup: makeupView,
+      focus,
+      valueOf: measure.valueOf,
+      aggregate: measure.aggregate,
+    });
+  }, [rows, selectedYear, selectedCountries, selectedContinents, sizeMetric, topN, levels, makeupView, focus, measure]);
+
+  // GDP per country in both compared years, for growth rates
+  const comparedGdp = useMemo(() => {
+    if (compareMode === "off" || !rows.length) return null;
+    const gdpIn = (year) =>
+      new Map(
+        rows
+          .filter((r) => Number(r.Year) === Number(year) && r["Country Name"])
+          .map((r) => [r["Country Name"], Number(r.GDP)])
+      );
+    return [gdpIn(selectedYear), gdpIn(effectiveCompareYear)];
+  }, [rows, compareMode, selectedYear, effectiveCompareYear]);
+
+  const mainHierarchy = useMemo(() => {
+    if (!hierarchyData || !comparedGdp) return hierarchyData;
+    return withGrowth(hierarchyData, ...comparedGdp, selectedYear, effectiveCompareYear);
+  }, [hierarchyData, comparedGdp, selectedYear, effectiveCompareYear]);
+
+  // Every filtered country of the selected year, one per ISO3 code, for the
+  // map; unlike the treemap it ignores the zoom and countries per group
+  const worldCountries = useMemo(() => {
+    let yearRows = rows.filter((r) => r.Year === selectedYear && r["Country Name"]);
+    if (selectedCountries.size > 0) yearRows = yearRows.filter((r) => selectedCountries.has(r["Country Name"]));
+    if (selectedContinents.size > 0) yearRows = yearRows.filter((r) => selectedContinents.has(r["Continent Name"]));
+    const countries = d3
+      .groups(yearRows, (r) => r["Country Code"] || r["Country Name"])
+      .map(([, [r]]) => countryStats(r, measure.valueOf));
+    if (!comparedGdp) return countries;
+    return withGrowth({ name: "World", children: countries }, ...comparedGdp, selectedYear, effectiveCompareYear)
+      .children;
+  }, [rows, selectedYear, selectedCountries, selectedContinents, measure, comparedGdp, effectiveCompareYear]);
+
+  // Why the searched country has no cell of its own, and how to bring it back
+  const highlightStatus = useMemo(() => {
+    if (!highlight || !mainHierarchy) return null;
+    const name = highlight.country;
+    const cells = countryCells(mainHierarchy).map((c) => c.country);
+    if (cells.some((c) => c.name === name)) return null;
+
+    const others = cells.find((c) => c.isOthers && c.members.includes(name));
+    if (others) {
+      return {
+        text: `${name} is grouped into '${others.name}', since only the ${topN} largest countries of each group get their own cell.`,
+        action: { label: "Open Others", run: () => setFocus({ path: others.groupPath, others: true }) },
+      };
+    }
+    const yearRows = rows.filter((r) => Number(r.Year) === Number(selectedYear) && r["Country Name"] === name);
+    if (!yearRows.length) return { text: `${name} has no data for ${selectedYear}.` };
+    if (!yearRows.some((r) => sizeOf(r, sizeMetric, measure.valueOf) > 0)) {
+      return { text: `${name} has no ${measure.label} value for ${selectedYear}, so it has no cell.` };
+    }
+    const continents = yearRows.map((r) => r["Continent Name"] || "Unknown");
+    const countryFiltered = selectedCountries.size > 0 && !selectedCountries.has(name);
+    const continentFiltered = selectedContinents.size > 0 && !continents.some((c) => selectedContinents.has(c));
+    if (countryFiltered || continentFiltered) {
+      return {
+        text: `${name} is filtered out by the country and continent selection.`,
+        action: {
+          label: "Show it",
+          run: () => {
+            if (countryFiltered) setSelectedCountries(new Set([...selectedCountries, name]));
+            if (continentFiltered) setSelectedContinents(new Set());
+          },
+        },
+      };
+    }
+    if (focus) {
+      return {
+        text: `${name} is outside the current zoom on ${focus.path.join(" › ") || "Others"}.`,
+        action: { label: "Zoom out", run: () => setFocus(null) },
+      };
+    }
+    return { text: `${name} is not in the chart.` };
+  }, [highlight, mainHierarchy, rows, selectedYear, sizeMetric, measure, selectedCountries, selectedContinents, focus, topN]);
+
+  // Second chart of the side-by-side comparison
+  const compareHierarchy = useMemo(() => {
+    if (compareMode !== "side" || !rows.length) return null;
+    const hierarchy = buildHierarchy(rows, effectiveCompareYear, selectedCountries, selectedContinents, {
+      sizeMetric,
+      topN,
+      levels,
+      makeup: makeupView,
+      focus,
+      valueOf: measure.valueOf,
+      aggregate: measure.aggregate,
+    });
+    return withGrowth(hierarchy, ...comparedGdp, selectedYear, effectiveCompareYear);
+  }, [
+    rows,
+    compareMode,
+    comparedGdp,
+    selectedYear,
+    effectiveCompareYear,
+    selectedCountries,
+    selectedContinents,
+    sizeMetric,
+    measure,
+    topN,
+    levels,
+    makeupView,
+    focus,
+  ]);
+
+  // Side by side, each chart gets half the width
+  const chartDims = useMemo(
+    () => (compareMode === "side" ? { w: Math.floor(dims.w / 2), h: Math.round(dims.h * 0.8) } : dims),
+    [compareMode, dims]
+  );
 
-  useEffect(() => {
-    const svgNode = svgRef.current;
-    if (!svgNode || !hierarchyData) return;
+  // Scales and per-cell accessors for the "Color by", border and opacity
+  // choices; undefined accessors keep drawTreemap's defaults
+  const encodings = useMemo(() => {
+    const yearRows = rows.filter((r) => r.Year === selectedYear);
+    const valuesOf = (column) => yearRows.map((r) => fieldValue(r, column));
+    const scaled = (scale, column, fallback) => (country) => {
+      const v = recordValue(country, column);
+      return scale && v !== null ? scale(v) : fallback;
+    };
+
+    const fillScale =
+      colorBy === "default" ? null : encodingScale(valuesOf(colorBy), { scheme: colorScheme, breaks: colorBreaks });
+    const borderScale = ["none", "Inflation Rate"].includes(borderBy) ? null : encodingScale(valuesOf(borderBy));
+    const tooltipColumns = [colorBy, borderBy, opacityBy].filter(
+      (c, i, list) => encodableColumns.includes(c) && !countryTooltipColumns.includes(c) && list.indexOf(c) === i
+    );
 
-    const svgEl = d3.select(svgNode);
-    svgEl.selectAll("*").remove();
+    return {
+      fillScale,
+      fillFor: colorBy === "default" ? null : scaled(fillScale, colorBy, "#ccc"),
+      borderFor:
+        borderBy === "Inflation Rate" ? undefined : borderBy === "none" ? () => "#FFFFFF" : scaled(borderScale, borderBy, "#FFFFFF"),
+      opacityFor: opacityBy === "Unemployment" ? undefined : scaled(opacityScale(valuesOf(opacityBy)), opacityBy, 1),
+      tooltipColumns: tooltipColumns.filter((c) => c !== sizeMetric),
+    };
+  }, [rows, selectedYear, colorBy, colorScheme, colorBreaks, borderBy, opacityBy, encodableColumns, sizeMetric]);
+
+  // Shared by the Legend section and the exported SVG
+  const legend = useMemo(() => {
+    const size = sizeMetrics[sizeMetric];
+    return {
+      summary: [
+        ["Size", `${size.absolute ? `|${measure.label}|` : measure.label} (area)`],
+        ["Groups", levels.map((level) => level.label).join(" › ") || "None"],
+        [
+          "Opacity",
+          !useOpacity
+            ? "Solid Color"
+            : opacityBy === "Unemployment"
+            ? "Employment rate"
+            : `${opacityBy} (lighter = higher)`,
+        ],
+        [
+          "Border",
+          borderBy === "Inflation Rate"
+            ? palette.inflationLegend
+            : borderBy === "none"
+            ? "None"
+            : `${borderBy} (yellow = low, blue = high)`,
+        ],
+        [
+          "Color",
+          compareMode === "delta"
+            ? `GDP change ${selectedYear} → ${effectiveCompareYear}`
+            : colorBy !== "default"
+            ? `${colorBy} (${SCHEMES[colorScheme].label.toLowerCase()}, ${colorBreaks} breaks)`
+            : displayMode === "name"
+            ? "Continent"
+            : `GDP makeup: ${MAKEUP_VIEWS[makeupView].label}`,
+        ],
+        ...(displayMode === "makeup" && compareMode !== "delta" && colorBy === "default"
+          ? [["Makeup", MAKEUP_VIEWS[makeupView].note]]
+          : []),
+      ],
+      colors:
+        compareMode === "delta"
+          ? {
+              "≤ -50%": growthColor(-50),
+              "-25%": growthColor(-25),
+              "0%": growthColor(0),
+              "+50%": growthColor(50),
+              "≥ +100%": growthColor(100),
+              "No data": growthColor(null),
+            }
+          : colorBy !== "default"
+          ? encodingLegend(encodings.fillScale, (v) => formatColumn(colorBy, v))
+          : displayMode === "name"
+          ? palette.continents
+          : makeupLegend(makeupView, palette),
+    };
+  }, [
+    sizeMetric,
+    measure,
+    levels,
+    useOpacity,
+    opacityBy,
+    borderBy,
+    colorBy,
+    colorScheme,
+    colorBreaks,
+    encodings,
+    palette,
+    displayMode,
+    makeupView,
+    compareMode,
+    selectedYear,
+    effectiveCompareYear,
+  ]);
+
+  // Fill, border, opacity and tooltips of countries, shared by the treemap and
+  // the map; see cellStyler
+  const styleOptions = useMemo(
+    () => ({
+      displayMode,
+      useOpacity,
+      measure,
+      palette,
+      borderFor: encodings.borderFor,
+      opacityFor: encodings.opacityFor,
+      tooltipColumns: encodings.tooltipColumns,
+      fillFor: compareMode === "delta" ? (country) => growthColor(country.comparison?.growth) : encodings.fillFor,
+      highlight,
+    }),
+    [displayMode, useOpacity, measure, palette, encodings, compareMode, highlight]
+  );
 
-    const { w, h } = dims;
-    const svg = svgEl.attr("viewBox", `0 0 ${w} ${h}`);
+  const useCanvas = drawnNodeCount(mainHierarchy, displayMode) > CANVAS_THRESHOLD;
 
-    function seededRandom(seed) {
-      let s = seed;
-      return function () {
-        s = Math.sin(s) * 10000;
-        return s - Math.floor(s);
-      };
-    }
+  // Sets (or, with "", removes) the grouping at level i; the zoom's path no longer applies
+  function changeGroupLevel(i, key) {
+    setGroupBy(key ? Object.assign([...groupBy], { [i]: key }) : groupBy.filter((_, j) => j !== i));
+    setFocus(null);
+  }
 
-    const root = d3
-      .hierarchy(hierarchyData)
-      .sum((d) => d.value || 0)
-      .sort((a, b) => (b.value || 0) - (a.value || 0));
-
-    // https://github.com/d3/d3-hierarchy?tab=readme-ov-file
-    // allowed for sectioning of polygons
-    const vt = voronoiTreemap()
-      .clip([
-        [0, 0],
-        [0, h],
-        [w, h],
-        [w, 0],
-      ])
-      // ensures rendering completes and smaller nodes do not get lost
-      .convergenceRatio(0.015)
-      .maxIterationCount(80)
-      .minWeightRatio(0.002)
-      .prng(seededRandom(12345));
-
-    vt(root);
-    
-    const continents = root.children || [];
-    const gContinents = svg.append("g").attr("class", "continents");
-    
-    continents.forEach((contNode) => {
-      const contPoly = contNode.polygon;
-      if (!contPoly) return;
-
-      const gCont = gContinents
-        .append("g")
-        .attr(
-          "class",
-          `continent ${contNode.data.name.replace(/\s+/g, "-").toLowerCase()}`
-        );
-
-      gCont
-        .append("path")
-        .attr("d", `M${contPoly.join("L")}Z`)
-        .attr("fill", "none")
-        .attr("stroke", "rgba(0,0,0,0.08)")
-        .attr("stroke-width", 2);
-
-      (contNode.children || []).forEach((node) => {
-        const polygon = node.polygon;
-        if (!polygon) return;
-
-        const country = node.data;
-        const borderColor = getInflationColor(country.inflation);
-        const area = Math.abs(d3.polygonArea(polygon));
-        const centroid = d3.polygonCentroid(polygon);
-
-        const g = gCont.append("g").attr("class", "country");
-
-        if (displayMode === "name" || !(node.children && node.children.length)) {
-          g.append("path")
-            .attr("d", `M${polygon.join("L")}Z`)
-            .attr("fill", continentColors[country.continent] || "#ccc")
-            .attr("fill-opacity", useOpacity ? getOpacity(country.unemployment) : 1)
-            .attr("stroke", borderColor)
-            .attr("stroke-width", 2)
-            .on("mouseover", (event) => {
-              toolTipRef.current
-                .html(
-                  `<strong>${country.name} - ${country.continent ?? "Unknown"}</strong><br/>
-                  GDP: $${numberConversion(node.value)}<br/>
-                  GDP Per Capita: $${country.gpdpercapita ?? "N/A"}<br/>
-                  Agriculture(% GDP): ${country.agriculture ?? "N/A"}%<br/>
-                  Service(% GDP): ${country.service ?? "N/A"}%<br/>
-                  Industry(% GDP): ${country.industry ?? "N/A"}%<br/>
-                  Inflation Rate: ${country.inflation ?? "N/A"}%<br/>
-                  Unemployment Rate: ${country.unemployment ?? "N/A"}%<br/>`
-                )
-                .style("opacity", 1);
-            })
-            .on("mousemove", (event) => {
-              toolTipRef.current
-                .style("left", event.pageX + 10 + "px")
-                .style("top", event.pageY + 10 + "px");
-            })
-            .on("mouseleave", () => {
-              toolTipRef.current.style("opacity", 0);
-            });
-        } else {
-          (node.children || []).forEach((compNode) => {
-            const compPoly = compNode.polygon;
-            if (!compPoly) return;
-
-            const compGroup = g.append("g");
-
-            compGroup
-              .append("path")
-              .attr("d", `M${compPoly.join("L")}Z`)
-              .attr("fill", gdpComponentColors[compNode.data.name] || "#ddd")
-              .attr(
-                "fill-opacity",
-                useOpacity ? getOpacity(country.unemployment) : 1
-              )
-              .attr("stroke", "rgba(0,0,0,0.05)")
-              .attr("stroke-width", 1);
-
-            compGroup
-              .append("path")
-              .attr("d", `M${compPoly.join("L")}Z`)
-              .attr("fill", "none")
-              .attr("stroke", "white")
-              .attr("stroke-width", 4)
-              .attr("opacity", 0)
-              .attr("pointer-events", "none");
-
-            compGroup
-              .on("mouseover", () => {
-                const pct = ((compNode.value / node.value) * 100).toFixed(1);
-                compGroup.select("path:nth-child(2)").attr("opacity", 1);
-                toolTipRef.current
-                  .html(
-                    `<strong>${country.name} - ${compNode.data.name}</strong><br/>
-                    Value: $${numberConversion(compNode.value)}<br/>
-                    Percentage of Total GDP: ${pct}%`
-                  )
-                  .style("opacity", 1);
-              })
-              .on("mousemove", (event) => {
-                toolTipRef.current
-                  .style("left", event.pageX + 10 + "px")
-                  .style("top", event.pageY + 10 + "px");
-              })
-              .on("mouseleave", () => {
-                compGroup.select("path:nth-child(2)").attr("opacity", 0);
-                toolTipRef.current.style("opacity", 0);
-              });
-          });
-
-          g.append("path")
-            .attr("d", `M${polygon.join("L")}Z`)
-            .attr("fill", "none")
-            .attr("stroke", borderColor)
-            .attr("stroke-width", 2);
-        }
+  function onRegionsLoaded({ regions: loaded, error }) {
+    setRegionError(error);
+    if (error) return;
+    setRegions(loaded);
+    saveRegionMapping(loaded);
+    setFocus(null);
+    // Group by the new regions right away; forgetting them drops their level
+    if (!loaded) setGroupBy(groupBy.filter((key) => key !== "region"));
+    else if (!groupBy.includes("region")) setGroupBy([...groupBy, "region"]);
+  }
 
-        if (area > 1200) {
-          g.append("text")
-            .attr("x", centroid[0])
-            .attr("y", centroid[1])
-            .attr("text-anchor", "middle")
-            .attr("dominant-baseline", "middle")
-            .attr("fill", displayMode === "name" ? "#fff" : "#111")
-            .style("font-weight", "700")
-            .style("font-size", `${Math.max(10, Math.sqrt(area) / 18)}px`)
-            .text(country.name);
-
-          if (area > 4200) {
-            g.append("text")
-              .attr("x", centroid[0])
-              .attr("y", centroid[1] + Math.sqrt(area) / 18)
-              .attr("text-anchor", "middle")
-              .attr("dominant-baseline", "hanging")
-              .attr("fill", displayMode === "name" ? "#fff" : "#333")
-              .style("font-size", `${Math.max(9, Math.sqrt(area) / 24)}px`)
-              .text(`$${((node.value || 0) / 1e12).toFixed(2)}T`);
-          }
-        }
+  const exportName = `gdp-treemap-${selectedYear}`;
+
+  // The main chart as SVG; a canvas chart is converted from what it painted
+  const chartSvg = () => (useCanvas && canvasRef.current.__toSvg ? canvasRef.current.__toSvg() : svgRef.current);
+
+  function exportSvg() {
+    const { markup } = buildStandaloneSvg(chartSvg(), {
+      title: `GDP Visualization (${selectedYear})`,
+      ...legend,
+      background: palette.background,
+      textColor: palette.text,
+    });
+    downloadBlob(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }), `${exportName}.svg`);
+  }
+
+  function exportPng() {
+    const standalone = buildStandaloneSvg(chartSvg(), {
+      title: `GDP Visualization (${selectedYear})`,
+      ...legend,
+      background: palette.background,
+      textColor: palette.text,
+    });
+    svgToPngBlob(standalone, pngScale)
+      .then((blob) => downloadBlob(blob, `${exportName}@${pngScale}x.png`))
+      .catch((err) => console.error("PNG export error:", err));
+  }
+
+  function exportCsv() {
+    const csv = hierarchyToCsv(mainHierarchy, {
+      year: selectedYear,
+      sizeLabel: measure.label,
+    });
+    downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), `${exportName}.csv`);
+  }
+
+  useEffect(() => {
+    const svgNode = svgRef.current;
+    if (!svgNode) return;
+    // Only one renderer holds a chart at a time
+    const clear = (svg, canvas) => {
+      if (svg && (useCanvas || !hierarchyData)) d3.select(svg).selectAll("*").remove();
+      if (canvas && (!useCanvas || !hierarchyData)) {
+        canvas.width = 0;
+        canvas.__toSvg = null;
+        canvas.__showLinked = null;
+        d3.select(canvas).on("mousemove mouseleave click", null);
+      }
+    };
+    clear(svgNode, canvasRef.current);
+    clear(compareSvgRef.current, compareCanvasRef.current);
+    // A dataset that can't be rendered leaves an empty chart, not the previous one
+    if (!hierarchyData) return;
+
+    const options = {
+      width: chartDims.w,
+      height: chartDims.h,
+      duration: transitionMsRef.current,
+      tooltip: toolTipRef.current,
+      focus,
+      onFocus: setFocus,
+      onAnnounce: setAnnouncement,
+      onSelect: setDetailCountry,
+      onHover: (names) => setLinked(names && { names, from: "treemap" }),
+      ...styleOptions,
+    };
+
+    const draw = (svg, canvas, hierarchy, layout) =>
+      useCanvas
+        ? drawTreemapCanvas(canvas, layoutRoot(hierarchy, layout), {
+            ...options,
+            styleOf: cellStyler(styleOptions),
+            namesOf: countryNames,
+            groupHtml: groupTooltip,
+            componentHtml: componentTooltip,
+          })
+        : drawTreemap(svg, hierarchy, { ...options, layout });
+
+    // New layouts are seeded from the last one so cells stay put. A newer
+    // change cancels layouts that haven't started yet
+    const controller = new AbortController();
+    const { signal } = controller;
+    const size = { width: chartDims.w, height: chartDims.h, signal };
+
+    requestLayout(layoutTree(mainHierarchy), { ...size, previousSites: sitesRef.current })
+      .then((layout) => {
+        if (signal.aborted) return;
+        sitesRef.current = layout.sites;
+        draw(svgNode, canvasRef.current, mainHierarchy, layout);
+
+        // The second chart starts from the first one's layout so the two are easy to compare
+        if (compareMode !== "side" || !compareSvgRef.current || !compareHierarchy) return;
+        return requestLayout(layoutTree(compareHierarchy), {
+          ...size,
+          previousSites: new Map([...layout.sites, ...compareSitesRef.current]),
+        }).then((compareLayout) => {
+          if (signal.aborted) return;
+          compareSitesRef.current = compareLayout.sites;
+          draw(compareSvgRef.current, compareCanvasRef.current, compareHierarchy, compareLayout);
+        });
+      })
+      .catch((err) => {
+        if (!signal.aborted) console.error("Layout error:", err);
       });
+    return () => controller.abort();
+  }, [
+    hierarchyData,
+    mainHierarchy,
+    compareHierarchy,
+    compareMode,
+    chartDims,
+    selectedYear,
+    focus,
+    styleOptions,
+    useCanvas,
+  ]);
+
+  const mapStyleOf = useMemo(() => cellStyler(styleOptions), [styleOptions]);
+
+  // Countries hovered in the scatter plot or the map mark their cells in the treemap
+  const scatterHover = linked && linked.from !== "treemap" ? linked.names : null;
+  useEffect(() => {
+    const marked = (d) => Boolean(scatterHover) && countryNames(d.data).some((n) => scatterHover.includes(n));
+    [svgRef.current, compareSvgRef.current].forEach((svg) => {
+      d3.select(svg)
+        .selectAll("path.cell")
+        .style("stroke", (d) => (marked(d) ? palette.text : null))
+        .style("stroke-width", (d) => (marked(d) ? "5px" : null));
     });
-  }, [hierarchyData, dims, displayMode, selectedYear, useOpacity]);
+    [canvasRef.current, compareCanvasRef.current].forEach((canvas) => canvas?.__showLinked?.(scatterHover));
+  }, [scatterHover, palette]);
 
+  // Countries of the selected year for the scatter plot
+  const scatterRows = useMemo(() => rows.filter((r) => r.Year === selectedYear), [rows, selectedYear]);
+
+  // Picking a country in the rankings highlights it like the search box does,
+  // and picking it again ends the highlight
+  function findInTreemap(country) {
+    setHighlight((h) => (h?.country === country ? null : { country, id: (h?.id ?? 0) + 1 }));
+    (svgRef.current || canvasRef.current)?.scrollIntoView?.({ behavior: "smooth", block: "center" });
+  }
+
+  // Brushing replaces the country and continent selection; an empty brush shows everything
+  const brushCountries = useCallback((names) => {
+    setSelectedCountries(new Set(names || []));
+    setSelectedContinents(new Set());
+  }, []);
+
+  function togglePin(country) {
+    setPinned((list) => (list.includes(country) ? list.filter((c) => c !== country) : [...list, country]));
+  }
+
+  const chartLabel = (year) =>
+    `Treemap of ${measure.label} by country, ${year}. ` +
+    "Use the arrow keys to move between countries, Shift and an arrow key to move between groups, " +
+    "Enter to show a country's history or open a group, and Escape to zoom out.";
+
+  // Canvas charts can't be navigated cell by cell, so point to the table instead
+  const canvasLabel = (year) =>
+    `Treemap of ${measure.label} by country, ${year}. The 'Data table' below the chart lists the same values.`;
+
+  // The SVG renderer, or the canvas one for large trees; the unused one stays empty
+  const chart = (svg, canvas, year) => (
+    <>
+      <svg ref={svg} role="group" aria-label={chartLabel(year)} className={`w-full h-auto ${useCanvas ? "hidden" : "block"}`} />
+      <canvas ref={canvas} role="img" aria-label={canvasLabel(year)} className={`w-full h-auto ${useCanvas ? "block" : "hidden"}`} />
+    </>
+  );
 
   return (
 
-    <div className="w-full min-h-screen bg-white">
+    <div
+      className={`w-full min-h-screen ${palette.dark ? "theme-dark" : "bg-white"}`}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setIsDragging(true);
+      }}
+      onDragLeave={(e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+      }}
+      onDrop={(e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        [...e.dataTransfer.files].forEach(loadFile);
+      }}
+    >
+      {isDragging && (
+        <div className="fixed inset-0 flex items-center justify-center z-50 bg-blue-500/20 border-4 border-dashed border-blue-500 text-xl font-bold pointer-events-none">
+          Drop a CSV, TSV or JSON file to load it
+        </div>
+      )}
       <div className ="body">
       <div className="max-w-7xl mx-auto p-6">
         <h1 className="text-3xl font-bold mb-6 text-center">GDP Visualization</h1>
 
         {/* Controls */}
         <div className="bg-gray-100 rounded-lg p-4 mb-6">
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          {/* Loaded datasets; more can be added from a file or by dropping one on the page */}
+          <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+            <label className="font-medium">Dataset</label>
+            <select
+              value={activeDatasetId ?? ""}
+              onChange={(e) => setActiveDatasetId(Number(e.target.value))}
+              className="px-2 py-1 border rounded"
+              disabled={!datasets.length}
+            >
+              {datasets.map((d) => (
+                <option key={d.id} value={d.id}>{d.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setShowMapping(!showMapping)}
+              className="text-xs bg-gray-500 text-white px-3 py-1 rounded hover:bg-gray-600"
+              disabled={!activeDataset?.raw}
+            >
+              Map columns
+            </button>
+            <label className="flex items-center gap-1 text-xs bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 cursor-pointer">
+              <Upload size={14} /> Load file
+              <input
+                type="file"
+                accept=".csv,.tsv,.txt,.json,text/csv,text/tab-separated-values,application/json"
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                  [...e.target.files].forEach(loadFile);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            <span className="text-xs text-gray-500">or drop a CSV, TSV or JSON file anywhere on the page</span>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-4">
 
             {/* Time slider for different years */}
             <div>
@@ -522,6 +1790,33 @@ const VoronoiTreemap = () => {
                 className="w-full"
                 disabled={!rows.length}
               />
+              <div className="flex items-center gap-2 mt-2">
+                <button
+                  onClick={() => {
+                    // Restart from the first year when playing from the end
+                    if (!isPlaying && selectedYear >= yearBounds[1]) {
+                      setSelectedYear(yearBounds[0]);
+                    }
+                    setIsPlaying(!isPlaying);
+                  }}
+                  className="flex items-center gap-1 text-xs bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+                  disabled={!rows.length}
+                >
+                  {isPlaying ? <Pause size={14} /> : <Play size={14} />}
+                  {isPlaying ? "Pause" : "Play"}
+                </button>
+                <select
+                  value={playSpeed}
+                  onChange={(e) => setPlaySpeed(Number(e.target.value))}
+                  className="text-xs px-2 py-1 border rounded"
+                  disabled={!rows.length}
+                >
+                  <option value={2000}>0.5x</option>
+                  <option value={1000}>1x</option>
+                  <option value={500}>2x</option>
+                  <option value={250}>4x</option>
+                </select>
+              </div>
             </div>
 
             {/* Display either gdp makeup or by country name and size = gdp */}
@@ -536,6 +1831,73 @@ const VoronoiTreemap = () => {
                 <option value="name">Country Name (continent color)</option>
                 <option value="makeup">GDP Makeup (subdivided)</option>
               </select>
+              {displayMode === "makeup" && (
+                <select
+                  value={makeupView}
+                  onChange={(e) => setMakeupView(e.target.value)}
+                  className="w-full px-4 py-2 border rounded mt-2"
+                  aria-label="Makeup view"
+                >
+                  {Object.entries(MAKEUP_VIEWS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+
+            {/* Column that drives cell area */}
+            <div>
+              <label className="block text-sm font-medium mb-2">Size By</label>
+              <select
+                value={sizeMetric}
+                onChange={(e) => setSizeMetric(e.target.value)}
+                className="w-full px-4 py-2 border rounded"
+                disabled={!rows.length}
+              >
+                {Object.entries(sizeMetrics).map(([key, { label }]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+              <div className="flex gap-2 mt-2">
+                <select
+                  value={effectiveNormalization}
+                  onChange={(e) => setNormalization(e.target.value)}
+                  className="flex-1 px-2 py-1 text-sm border rounded"
+                  aria-label="Normalization"
+                  disabled={!rows.length}
+                >
+                  {availableNormalizations.map((key) => (
+                    <option key={key} value={key}>{NORMALIZATIONS[key].label}</option>
+                  ))}
+                </select>
+                {effectiveNormalization === "constant" && (
+                  <select
+                    value={effectiveBaseYear}
+                    onChange={(e) => setBaseYear(Number(e.target.value))}
+                    className="px-2 py-1 text-sm border rounded"
+                    aria-label="Base year"
+                  >
+                    {d3.range(yearBounds[0], yearBounds[1] + 1).map((y) => (
+                      <option key={y} value={y}>{y}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium mb-2">
+                Countries per group: {topN}
+              </label>
+              <input
+                type="range"
+                min={1}
+                max={50}
+                value={topN}
+                onChange={(e) => setTopN(Number(e.target.value))}
+                className="w-full"
+                disabled={!rows.length}
+              />
             </div>
 
             <div className="flex items-center gap-2">
@@ -548,11 +1910,162 @@ const VoronoiTreemap = () => {
                 disabled={!rows.length}
               />
               <label htmlFor="opacityToggle" className="text-sm">
-                Use employment opacity
+                Use opacity
               </label>
             </div>
           </div>
 
+          {/* Column-driven fill, border and opacity */}
+          <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+            <label htmlFor="colorBy" className="font-medium">Color by</label>
+            <select
+              id="colorBy"
+              value={colorBy}
+              onChange={(e) => setColorBy(e.target.value)}
+              className="px-2 py-1 border rounded"
+              disabled={!rows.length || compareMode === "delta"}
+            >
+              <option value="default">{displayMode === "name" ? "Continent" : MAKEUP_VIEWS[makeupView].label}</option>
+              {encodableColumns.map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+            {colorBy !== "default" && (
+              <>
+                <select
+                  value={colorScheme}
+                  onChange={(e) => setColorScheme(e.target.value)}
+                  className="px-2 py-1 border rounded"
+                  aria-label="Color scale"
+                >
+                  {Object.entries(SCHEMES).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={colorBreaks}
+                  onChange={(e) => setColorBreaks(e.target.value)}
+                  className="px-2 py-1 border rounded"
+                  aria-label="Color breaks"
+                >
+                  <option value="linear">Linear</option>
+                  <option value="quantile">Quantile</option>
+                </select>
+              </>
+            )}
+            <label htmlFor="palette" className="font-medium ml-4">Palette</label>
+            <select
+              id="palette"
+              value={paletteKey}
+              onChange={(e) => setPaletteKey(e.target.value)}
+              className="px-2 py-1 border rounded"
+            >
+              {Object.entries(PALETTES).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <label htmlFor="borderBy" className="font-medium ml-4">Border</label>
+            <select
+              id="borderBy"
+              value={borderBy}
+              onChange={(e) => setBorderBy(e.target.value)}
+              className="px-2 py-1 border rounded"
+              disabled={!rows.length}
+            >
+              <option value="none">None</option>
+              {encodableColumns.map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+            <label htmlFor="opacityBy" className="font-medium ml-4">Opacity</label>
+            <select
+              id="opacityBy"
+              value={opacityBy}
+              onChange={(e) => setOpacityBy(e.target.value)}
+              className="px-2 py-1 border rounded"
+              disabled={!rows.length || !useOpacity}
+            >
+              {encodableColumns.map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Grouping levels, outermost first; each select after the first nests one level deeper */}
+          <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+            <span className="font-medium">Group by</span>
+            {[...groupBy, ""].map((key, i) => {
+              const options = Object.keys(GROUPINGS).filter((k) => k === key || !groupBy.includes(k));
+              if (!key && !options.length) return null;
+              return (
+                <React.Fragment key={i}>
+                  {i > 0 && <span aria-hidden="true">›</span>}
+                  <select
+                    value={key}
+                    onChange={(e) => changeGroupLevel(i, e.target.value)}
+                    className="px-2 py-1 border rounded"
+                    aria-label={`Grouping level ${i + 1}`}
+                    disabled={!rows.length}
+                  >
+                    <option value="">{key && groupBy.length > 1 ? "Remove level" : i === 0 ? "None" : "Then by…"}</option>
+                    {options.map((k) => (
+                      <option key={k} value={k} disabled={GROUPINGS[k].needsRegions && !regions}>
+                        {GROUPINGS[k].label}
+                      </option>
+                    ))}
+                  </select>
+                </React.Fragment>
+              );
+            })}
+            <label className="ml-4 text-blue-600 underline cursor-pointer">
+              {regions ? `Regions: ${regions.name}` : "Load a region mapping"}
+              <input
+                type="file"
+                accept=".csv,.tsv,.txt,.json"
+                className="hidden"
+                onChange={(e) => {
+                  if (e.target.files[0]) loadRegionFile(e.target.files[0], onRegionsLoaded);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            {regions && (
+              <button onClick={() => onRegionsLoaded({ regions: null, error: null })} className="text-xs text-gray-500 underline">
+                Forget
+              </button>
+            )}
+            {regionError && <span className="text-red-600">{regionError}</span>}
+          </div>
+
+          {/* Compare the selected year against a second one */}
+          <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+            <label className="font-medium">Compare</label>
+            <select
+              value={compareMode}
+              onChange={(e) => setCompareMode(e.target.value)}
+              className="px-2 py-1 border rounded"
+              disabled={!rows.length}
+            >
+              <option value="off">Off</option>
+              <option value="side">Side by side</option>
+              <option value="delta">GDP growth (color)</option>
+            </select>
+            {compareMode !== "off" && (
+              <>
+                <span>{selectedYear} vs</span>
+                <select
+                  value={effectiveCompareYear}
+                  onChange={(e) => setCompareYear(Number(e.target.value))}
+                  className="px-2 py-1 border rounded"
+                >
+                  {d3.range(yearBounds[0], yearBounds[1] + 1).map((year) => (
+                    <option key={year} value={year}>{year}</option>
+                  ))}
+                </select>
+              </>
+            )}
+          </div>
+
 
 
           {/* Select country and continents */}
@@ -669,7 +2182,18 @@ const VoronoiTreemap = () => {
                                 }}
                                 className="mr-3"
                               />
-                              <span className="text-sm">{country}</span>
+                              <span className="text-sm flex-1">{country}</span>
+                              <button
+                                onClick={(e) => {
+                                  e.preventDefault();
+                                  togglePin(country);
+                                }}
+                                aria-label={`${pinned.includes(country) ? "Unpin" : "Pin"} ${country}`}
+                                aria-pressed={pinned.includes(country)}
+                                className={`mr-2 ${pinned.includes(country) ? "text-blue-600" : "text-gray-300 hover:text-gray-600"}`}
+                              >
+                                <Pin size={14} />
+                              </button>
                             </label>
                           ))}
                         </div>
@@ -682,85 +2206,352 @@ const VoronoiTreemap = () => {
           )}
         </div>
 
-        {/* Load the treemap chart */}
-        <div ref={wrapperRef} className="w-full bg-white">
-          <svg ref={svgRef} className="w-full h-auto block" />
+        {/* Breadcrumb for the current drill-down, and the country search */}
+        <div className="flex items-center justify-between gap-4 mb-2">
+          <div className="flex items-center gap-2 text-sm">
+            {[
+              { label: "World", target: null },
+              ...(focus?.path || []).map((name, i) => ({ label: name, target: { path: focus.path.slice(0, i + 1) } })),
+              ...(focus?.others ? [{ label: "Others", target: focus }] : []),
+            ].map(({ label, target }, i, crumbs) => (
+              <React.Fragment key={i}>
+                {i > 0 && <span className="text-gray-400">›</span>}
+                {i === crumbs.length - 1 ? (
+                  <span className="font-medium">{label}</span>
+                ) : (
+                  <button onClick={() => setFocus(target)} className="text-blue-600 hover:underline">
+                    {label}
+                  </button>
+                )}
+              </React.Fragment>
+            ))}
+          </div>
+          {rows.length > 0 && (
+            <CountrySearch
+              key={activeDatasetId}
+              countries={searchableCountries}
+              onChoose={(country) => setHighlight((h) => ({ country, id: (h?.id ?? 0) + 1 }))}
+              onClear={() => setHighlight(null)}
+            />
+          )}
+        </div>
+        {/* Totals of what the chart shows: the world or the zoomed-in group, within the filters */}
+        {mainHierarchy?.stats && (
+          <div
+            aria-label="Summary"
+            className="flex flex-wrap items-baseline gap-x-6 gap-y-1 bg-gray-100 rounded-lg px-4 py-2 mb-2 text-sm"
+          >
+            <span className="font-bold">
+              {focus?.path.length ? focus.path.join(" › ") : "World"}
+              {selectedCountries.size > 0 || selectedContinents.size > 0 ? " (selection)" : ""}, {selectedYear}
+            </span>
+            {aggregateLines(mainHierarchy.stats).map(([label, value]) => (
+              <span key={label}>
+                <span className="text-gray-600">{label}:</span> <span className="font-medium">{value}</span>
+              </span>
+            ))}
+          </div>
+        )}
+        <div role="status" className="text-sm">
+          {highlightStatus && (
+            <div className="flex items-center gap-3 bg-yellow-50 border border-yellow-300 text-yellow-900 rounded px-3 py-2 mb-2">
+              <span className="flex-1">{highlightStatus.text}</span>
+              {highlightStatus.action && (
+                <button
+                  onClick={highlightStatus.action.run}
+                  className="text-xs bg-yellow-600 text-white px-3 py-1 rounded hover:bg-yellow-700"
+                >
+                  {highlightStatus.action.label}
+                </button>
+              )}
+            </div>
+          )}
         </div>
 
-        {/* Legend */}
-        <div className="bg-gray-100 rounded-lg p-4 mb-6">
-          <h3 className="font-bold mb-3">Legend</h3>
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
-            <div><strong>Size:</strong> GDP (area)</div>
-            <div><strong>Opacity:</strong> {useOpacity ? "Employment rate" : "Solid Color"}</div>
-            <div><strong>Border:</strong> Inflation (Green=+, Red=-, White=NULL)</div>
-            <div><strong>Color:</strong> {displayMode === "name" ? "Continent" : "GDP Components"}</div>
+        {/* Explain why nothing is drawn instead of leaving the chart blank */}
+        {(loadError || (dataReport && !dataReport.renderable)) && (
+          <div className="bg-red-100 border border-red-300 text-red-800 rounded-lg p-4 mb-4 text-sm">
+            <strong>This data can't be rendered.</strong>
+            <div>Source: {activeDataset?.source}</div>
+            {loadError && <div>Could not load the file: {loadError}</div>}
+            {dataReport?.problems.map((problem) => (
+              <div key={problem}>{problem}</div>
+            ))}
+            {activeDataset?.raw && <div>Use 'Map columns' to match this file's headers to the fields above.</div>}
           </div>
-          <div className="flex flex-wrap gap-3 mt-3 text-sm">
-            {displayMode === "name"
-              ? Object.entries(continentColors).map(([k, v]) => (
-                  <div key={k} className="flex items-center gap-2">
-                    <span className="inline-block w-4 h-4 rounded" style={{ background: v }} />
-                    {k}
-                  </div>
-                ))
-              : Object.entries(gdpComponentColors).map(([k, v]) => (
-                  <div key={k} className="flex items-center gap-2">
-                    <span className="inline-block w-4 h-4 rounded" style={{ background: v }} />
-                    {k}
-                  </div>
-                ))}
+        )}
+
+        {showMapping && activeDataset?.raw && (
+          <ColumnMappingPanel
+            key={activeDataset.id}
+            source={activeDataset.source}
+            fields={activeDataset.raw.fields}
+            mapping={activeDataset.mapping}
+            onApply={(mapping) => updateMapping(activeDataset, mapping)}
+            onClose={() => setShowMapping(false)}
+          />
+        )}
+
+        {/* Load the treemap chart, with the selected country's history beside it */}
+        <div className="flex gap-4 items-start">
+          <div ref={wrapperRef} className="flex-1 min-w-0" style={{ background: palette.background, color: palette.text }}>
+            {compareMode === "side" ? (
+              <div className="flex gap-2">
+                <div className="flex-1">
+                  <div className="text-center text-sm font-medium">{selectedYear}</div>
+                  {chart(svgRef, canvasRef, selectedYear)}
+                </div>
+                <div className="flex-1">
+                  <div className="text-center text-sm font-medium">{effectiveCompareYear}</div>
+                  {chart(compareSvgRef, compareCanvasRef, effectiveCompareYear)}
+                </div>
+              </div>
+            ) : (
+              chart(svgRef, canvasRef, selectedYear)
+            )}
+            <div aria-live="polite" className="sr-only">
+              {announcement}
+            </div>
           </div>
+          {detailCountry && (
+            <CountryDetailPanel
+              rows={rows}
+              country={detailCountry}
+              years={yearBounds}
+              year={selectedYear}
+              colors={palette.components}
+              pinned={pinned.includes(detailCountry)}
+              onTogglePin={() => togglePin(detailCountry)}
+              onClose={() => setDetailCountry(null)}
+            />
+          )}
         </div>
 
+        {/* The same countries and colors on a world map */}
+        {rows.length > 0 && (
+          <details open className="bg-gray-100 rounded-lg p-4 mb-6 text-sm">
+            <summary className="cursor-pointer font-bold">World map</summary>
+            <div className="mt-3">
+              <ChoroplethMap
+                countries={worldCountries}
+                styleOf={mapStyleOf}
+                palette={palette}
+                tooltip={toolTipRef.current}
+                year={selectedYear}
+                hovered={linked?.names}
+                onHover={(names) => setLinked(names && { names, from: "map" })}
+                onSelect={setDetailCountry}
+              />
+            </div>
+          </details>
+        )}
 
-        {/* Top 5 Countries Section */}
-        {rows.length > 0 && top5Countries.length > 0 && (
-          <div className="bg-gray-100 rounded-lg p-4 mb-6">
-            <h3 className="font-bold mb-3">Top 5 Countries by GDP ({selectedYear})</h3>
-            <div className="bg-white rounded-lg overflow-hidden border border-gray-200">
+        {/* Relationships between indicators, linked with the treemap */}
+        {rows.length > 0 && (
+          <details open className="bg-gray-100 rounded-lg p-4 mb-6 text-sm">
+            <summary className="cursor-pointer font-bold">Compare indicators</summary>
+            <div className="mt-3">
+              <ScatterPlot
+                key={activeDatasetId}
+                rows={scatterRows}
+                columns={encodableColumns}
+                year={selectedYear}
+                colors={palette.continents}
+                format={formatColumn}
+                selected={selectedCountries}
+                hovered={linked?.names}
+                onHover={(names) => setLinked(names && { names, from: "scatter" })}
+                onBrush={brushCountries}
+              />
+            </div>
+          </details>
+        )}
+
+        {/* The same countries as the chart, as a table for screen readers and keyboard users */}
+        {mainHierarchy && (
+          <details className="bg-gray-100 rounded-lg p-4 mb-6 text-sm">
+            <summary className="cursor-pointer font-bold">Data table</summary>
+            <div className="bg-white rounded-lg overflow-auto border border-gray-200 mt-3 max-h-96">
               <table className="w-full">
+                <caption className="sr-only">
+                  Countries shown in the treemap for {selectedYear}, with their groups
+                </caption>
                 <thead className="bg-gray-50">
                   <tr>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rank</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Country</th>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Continent</th>
-                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">GDP</th>
+                    {[
+                      levels.map((level) => level.label).join(" › ") || "Continent",
+                      "Country",
+                      ...(measure.isDefault ? [] : [measure.label]),
+                      "GDP",
+                      "GDP Per Capita",
+                      "Inflation",
+                      "Unemployment",
+                    ].map((label) => (
+                      <th key={label} scope="col" className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                        {label}
+                      </th>
+                    ))}
                   </tr>
                 </thead>
-                <tbody className="bg-white divide-y divide-gray-200">
-                  {top5Countries.map((country, index) => (
-                    <tr key={country.name} className="hover:bg-gray-50">
-                      <td className="px-4 py-3 whitespace-nowrap">
-                        <span className="bg-blue-500 text-white text-xs font-bold rounded-full w-6 h-6 flex items-center justify-center">
-                          {index + 1}
-                        </span>
-                      </td>
-                      <td className="px-4 py-3 whitespace-nowrap">
-                        <div className="text-sm font-medium text-gray-900">{country.name}</div>
-                      </td>
-                      <td className="px-4 py-3 whitespace-nowrap">
-                        <div className="text-sm text-gray-500">{country.continent}</div>
-                      </td>
-                      <td className="px-4 py-3 whitespace-nowrap text-right">
-                        <div className="text-sm font-bold text-gray-900">
-                          {(() => {
-                            const trillions = country.gdp / 1e12;
-                            return `$${trillions >= 0.1 ? trillions.toFixed(2) + "T" : (country.gdp / 1e9).toFixed(0) + "B"}`;
-                          })()}
-                        </div>
-                      </td>
+                <tbody className="divide-y divide-gray-200">
+                  {countryCells(mainHierarchy).map(({ country, path }) => (
+                    <tr key={[...path, country.name].join("/")}>
+                      <td className="px-3 py-1">{path.join(" › ") || country.continent}</td>
+                      <th scope="row" className="px-3 py-1 text-left font-medium">
+                        {country.isOthers ? `${country.name} (${country.count} countries)` : country.name}
+                      </th>
+                      {!measure.isDefault && <td className="px-3 py-1">{formatMeasure(measure, country.sizeValue)}</td>}
+                      <td className="px-3 py-1">{formatCurrency(country.gdp)}</td>
+                      <td className="px-3 py-1">{formatCurrency(country.gpdpercapita, { compact: false })}</td>
+                      <td className="px-3 py-1">{formatPercent(country.inflation)}</td>
+                      <td className="px-3 py-1">{formatPercent(country.unemployment)}</td>
                     </tr>
                   ))}
                 </tbody>
               </table>
             </div>
-            
-            {top5Countries.length < 5 && (
-              <div className="text-center text-sm text-gray-500 mt-3">
-                Showing {top5Countries.length} countries (filtered by your selections)
+          </details>
+        )}
+
+        {/* Legend */}
+        <div className="bg-gray-100 rounded-lg p-4 mb-6">
+          <h3 className="font-bold mb-3">Legend</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            {legend.summary.map(([label, text]) => (
+              <div key={label}><strong>{label}:</strong> {text}</div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-3 mt-3 text-sm">
+            {Object.entries(legend.colors).map(([k, v]) => (
+              <div key={k} className="flex items-center gap-2">
+                <span className="inline-block w-4 h-4 rounded" style={{ background: v }} />
+                {k}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Export the current view */}
+        {hierarchyData && (
+          <div className="bg-gray-100 rounded-lg p-4 mb-6">
+            <h3 className="font-bold mb-3">Export</h3>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <button
+                onClick={exportSvg}
+                className="flex items-center gap-1 text-xs bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+                disabled={isPlaying}
+              >
+                <Download size={14} /> SVG
+              </button>
+              <button
+                onClick={exportPng}
+                className="flex items-center gap-1 text-xs bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+                disabled={isPlaying}
+              >
+                <Download size={14} /> PNG
+              </button>
+              <select
+                value={pngScale}
+                onChange={(e) => setPngScale(Number(e.target.value))}
+                className="text-xs px-2 py-1 border rounded"
+              >
+                <option value={1}>1x</option>
+                <option value={2}>2x</option>
+                <option value={4}>4x</option>
+              </select>
+              <button
+                onClick={exportCsv}
+                className="flex items-center gap-1 text-xs bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+              >
+                <Download size={14} /> CSV
+              </button>
+              {isPlaying && (
+                <span className="text-xs text-gray-500">Pause playback to export images</span>
+              )}
+            </div>
+          </div>
+        )}
+
+
+        {/* Largest countries and how their ranks moved */}
+        {rows.length > 0 && (
+          <RankView
+            rows={rankRows}
+            years={yearBounds}
+            year={selectedYear}
+            sizeOf={rankSize}
+            formatValue={(r) => formatMeasure(measure, measure.valueOf(r))}
+            label={measure.label}
+            colors={palette.continents}
+            focused={highlight?.country}
+            onFocusCountry={findInTreemap}
+          />
+        )}
+
+        {/* Countries pinned from the treemap or the country list */}
+        {rows.length > 0 && pinned.length > 0 && (
+          <ComparisonTable
+            rows={rows}
+            pinned={pinned}
+            year={selectedYear}
+            format={formatColumn}
+            onUnpin={togglePin}
+            onClear={() => setPinned([])}
+          />
+        )}
+
+        {/* Data quality report for the loaded file */}
+        {dataReport && (
+          <div className="bg-gray-100 rounded-lg p-4 mb-6">
+            <h3 className="font-bold mb-3">Data Quality</h3>
+            <div className="text-sm mb-2">
+              {dataReport.rowCount} rows loaded from {activeDataset.source}
+              {dataReport.parseErrors > 0 && `, ${dataReport.parseErrors} could not be parsed`}
+            </div>
+            {dataReport.missingOptional.length > 0 && (
+              <div className="bg-yellow-100 border border-yellow-300 rounded p-2 mb-2 text-sm">
+                Missing column(s), related details will show as N/A: {dataReport.missingOptional.join(", ")}
+              </div>
+            )}
+            {dataReport.duplicates.length > 0 && (
+              <div className="bg-yellow-100 border border-yellow-300 rounded p-2 mb-2 text-sm">
+                {dataReport.duplicates.length} duplicate country-year row(s), e.g.{" "}
+                {dataReport.duplicates
+                  .slice(0, 5)
+                  .map(({ country, year, count }) => `${country} ${year} (${count}x)`)
+                  .join(", ")}
               </div>
             )}
+            <details className="text-sm">
+              <summary className="cursor-pointer">Missing values</summary>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-2">
+                {[
+                  ["Per column", dataReport.missingByColumn],
+                  ["Per country", dataReport.missingByCountry],
+                  ["Per year", dataReport.missingByYear],
+                ].map(([title, counts]) => (
+                  <div key={title}>
+                    <div className="font-medium mb-1">{title}</div>
+                    {counts.length === 0 ? (
+                      <div className="text-gray-500">None</div>
+                    ) : (
+                      <div className="max-h-48 overflow-y-auto bg-white border rounded">
+                        <table className="w-full">
+                          <tbody>
+                            {counts.map(([key, count]) => (
+                              <tr key={key}>
+                                <td className="px-2 py-1">{key}</td>
+                                <td className="px-2 py-1 text-right">{count}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </details>
           </div>
         )}
       </div>
@@ -1,8 +1,58 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { act, render, screen, within } from "@testing-library/react";
+import fs from "fs";
+import path from "path";
+import App from "./App";
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const publicFile = (name) => fs.readFileSync(path.join(__dirname, "..", "public", name), "utf8");
+
+// The app downloads the bundled CSV and world map; serve them from public/
+jest.mock("papaparse", () => {
+  const Papa = jest.requireActual("papaparse");
+  return {
+    ...Papa,
+    parse: (input, { download, complete, ...config } = {}) => {
+      if (!download) return Papa.parse(input, { ...config, complete });
+      const text = jest.requireActual("fs").readFileSync(`${__dirname}/../public/countries.csv`, "utf8");
+      setTimeout(() => complete(Papa.parse(text, config)), 0);
+    },
+  };
 });
+
+beforeAll(() => {
+  global.fetch = (url) =>
+    Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(JSON.parse(publicFile(url.split("/").pop()))) });
+  global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+});
+
+afterEach(() => window.history.replaceState(null, "", "/"));
+
+test("draws the bundled dataset", async () => {
+  render(<App />);
+  const summary = await screen.findByLabelText("Summary", {}, { timeout: 20000 });
+  expect(summary).toHaveTextContent("World, 2000");
+  expect(summary).toHaveTextContent("Total GDP");
+  const cells = await screen.findAllByRole("button", { name: /^United States/ }, { timeout: 20000 });
+  expect(cells.length).toBeGreaterThan(0);
+}, 30000);
+
+test("a view from the address keeps its pin order and falls back from a year outside the data", async () => {
+  render(<App />);
+  const summary = await screen.findByLabelText("Summary", {}, { timeout: 20000 });
+  // As the back and forward buttons do
+  const visit = (search) =>
+    act(() => {
+      window.history.pushState(null, "", `/${search}`);
+      window.dispatchEvent(new PopStateEvent("popstate"));
+    });
+  visit("?year=2010");
+  expect(summary).toHaveTextContent("World, 2010");
+  visit("?year=1850&pin=Japan&pin=Brazil");
+  expect(summary).toHaveTextContent("World, 2000");
+  const table = screen.getByRole("table", { name: /^Pinned countries in 2000/ });
+  const unpin = within(table).getAllByRole("button", { name: /^Unpin/ });
+  expect(unpin.map((button) => button.getAttribute("aria-label"))).toEqual(["Unpin Japan", "Unpin Brazil"]);
+}, 30000);
@@ -0,0 +1,124 @@
+/*
+
+World map of the selected year, colored like the treemap's cells. Countries
+are joined on their ISO3 `Country Code` to the bundled 1:110m Natural Earth
+shapes in public/world-110m.json (made by scripts/world-110m.js).
+Countries without a code or a shape at this scale are listed below the map.
+
+*/
+
+import React, { useEffect, useMemo, useState } from "react";
+import * as d3 from "d3";
+import { feature } from "topojson-client";
+
+const width = 960;
+const height = 500;
+
+let worldRequest = null;
+
+// Country shapes as GeoJSON features with ISO3 ids, fetched once
+function loadWorld() {
+  if (!worldRequest) {
+    worldRequest = d3
+      .json(`${process.env.PUBLIC_URL}/world-110m.json`)
+      .then((topology) => feature(topology, topology.objects.countries).features)
+      .catch((err) => {
+        worldRequest = null; // try again next time
+        throw err;
+      });
+  }
+  return worldRequest;
+}
+
+const codeOf = (country) => String(country.record?.["Country Code"] ?? "").trim().toUpperCase();
+
+// countries: stats objects like the treemap's country nodes; styleOf takes
+// { data: country } and returns the cell style (see cellStyler in App.js)
+const ChoroplethMap = ({ countries, styleOf, palette, tooltip, year, hovered, onHover, onSelect }) => {
+  const [features, setFeatures] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let live = true;
+    loadWorld()
+      .then((loaded) => live && setFeatures(loaded))
+      .catch((err) => {
+        console.error("Map load error:", err);
+        if (live) setError(err?.message || String(err));
+      });
+    return () => {
+      live = false;
+    };
+  }, []);
+
+  const path = useMemo(() => d3.geoPath(d3.geoNaturalEarth1().fitSize([width, height], { type: "Sphere" })), []);
+  const shapes = useMemo(
+    () => (features || []).map((f) => ({ id: f.id, name: f.properties.name, d: path(f) })),
+    [features, path]
+  );
+  // Styled once per data and encoding change, not on every hover
+  const byCode = useMemo(
+    () => new Map(countries.filter(codeOf).map((c) => [codeOf(c), { country: c, style: styleOf({ data: c }) }])),
+    [countries, styleOf]
+  );
+  const unmatched = useMemo(() => {
+    if (!features) return [];
+    const ids = new Set(features.map((f) => f.id));
+    return countries.filter((c) => !ids.has(codeOf(c))).map((c) => c.name);
+  }, [features, countries]);
+
+  const moveTooltip = (event) => {
+    tooltip.style("left", event.pageX + 10 + "px").style("top", event.pageY + 10 + "px");
+  };
+
+  if (error) return <div className="text-red-700">Could not load the world map: {error}</div>;
+  if (!features) return <div className="text-gray-500">Loading the world map…</div>;
+
+  return (
+    <div>
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label={`World map of ${countries.length} countries in ${year}, colored like the treemap`}
+      >
+        <path d={path({ type: "Sphere" })} fill={palette.dark ? "#111" : "#f8fafc"} stroke={palette.outline} />
+        {shapes.map((shape) => {
+          const { country, style } = byCode.get(shape.id) ?? {};
+          const isHovered = Boolean(country && hovered?.includes(country.name));
+          return (
+            <path
+              key={shape.id ?? shape.name}
+              d={shape.d}
+              fill={style ? style.fill : palette.dark ? "#333" : "#e5e7eb"}
+              fillOpacity={style ? style.fillOpacity : 1}
+              opacity={style?.dimmed ? 0.25 : 1}
+              stroke={isHovered ? palette.text : style ? style.stroke : palette.outline}
+              strokeWidth={isHovered ? 2 : 0.75}
+              style={{ cursor: country ? "pointer" : "default" }}
+              onMouseEnter={() => {
+                tooltip
+                  .html(style ? style.html : `<strong>${shape.name}</strong><br/>No data for ${year}`)
+                  .style("opacity", 1);
+                onHover(country ? [country.name] : null);
+              }}
+              onMouseMove={moveTooltip}
+              onMouseLeave={() => {
+                tooltip.style("opacity", 0);
+                onHover(null);
+              }}
+              onClick={() => country && onSelect(country.name)}
+            />
+          );
+        })}
+      </svg>
+      {unmatched.length > 0 && (
+        <p className="text-xs text-gray-600 mt-2">
+          Not on the map (no ISO3 code, or too small for the 1:110m shapes): {unmatched.join(", ")}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ChoroplethMap;
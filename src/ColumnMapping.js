@@ -0,0 +1,154 @@
+/*
+
+Maps a file's headers onto the column names the visualization reads, so
+exports with different headers (World Bank, IMF, ...) can still be drawn.
+Mappings are stored per source in localStorage.
+
+*/
+
+import React, { useState } from "react";
+import { REQUIRED_COLUMNS, OPTIONAL_COLUMNS } from "./dataQuality";
+
+const MAPPABLE_COLUMNS = [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS];
+
+// Common alternative headers, compared after normalizeHeader
+const aliases = {
+  "Country Name": ["country", "name", "economy", "countryorarea", "countryname"],
+  "Country Code": ["iso3", "iso", "code", "iso3code", "isoalpha3", "countryiso3"],
+  Year: ["time", "date", "period"],
+  GDP: ["gdpcurrentus", "gdpusd", "ngdpd", "nominalgdp"],
+  "Continent Name": ["continent", "region"],
+  "GDP Per Capita": ["gdppercapitacurrentus", "gdppc", "ngdpdpc"],
+  "Inflation Rate": ["inflation", "inflationconsumerpricesannual", "pcpipch"],
+  Unemployment: ["unemploymentrate", "unemploymenttotaloftotallaborforce", "lur"],
+  Population: ["populationtotal", "pop"],
+  Land: ["landarea", "landareasqkm"],
+  Export: ["exports"],
+  Import: ["imports"],
+  "Net Trade": ["tradebalance", "netexports"],
+  "R&D": ["researchanddevelopment", "rdexpenditure"],
+  "Ease of Doing Business": ["doingbusiness", "easeofdoingbusinessrank"],
+  "Population Density": ["popdensity", "density"],
+};
+
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Best guess per column: exact header, then the same header ignoring case and
+// punctuation, then a known alias
+export function detectColumnMapping(fields) {
+  const byNormalized = new Map(fields.map((f) => [normalizeHeader(f), f]));
+  const mapping = {};
+  MAPPABLE_COLUMNS.forEach((column) => {
+    if (fields.includes(column)) {
+      mapping[column] = column;
+      return;
+    }
+    const candidates = [normalizeHeader(column), ...(aliases[column] || [])];
+    const match = candidates.find((c) => byNormalized.has(c));
+    mapping[column] = match ? byNormalized.get(match) : null;
+  });
+  return mapping;
+}
+
+const storageKey = (source) => `columnMapping:${source}`;
+
+// Saved choices win over detection, as long as the header still exists
+export function resolveColumnMapping(source, fields) {
+  const mapping = detectColumnMapping(fields);
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(storageKey(source)) || "null");
+    if (saved) {
+      Object.entries(saved).forEach(([column, header]) => {
+        if (MAPPABLE_COLUMNS.includes(column) && (header === null || fields.includes(header))) {
+          mapping[column] = header;
+        }
+      });
+    }
+  } catch (err) {
+    console.error("Column mapping read error:", err);
+  }
+  return mapping;
+}
+
+export function saveColumnMapping(source, mapping) {
+  try {
+    window.localStorage.setItem(storageKey(source), JSON.stringify(mapping));
+  } catch (err) {
+    console.error("Column mapping save error:", err);
+  }
+}
+
+// Copies each mapped header's values under the column name the app expects
+export function applyColumnMapping(data, mapping) {
+  const renames = Object.entries(mapping).filter(([column, header]) => header && header !== column);
+  if (!renames.length) return data;
+  return data.map((r) => {
+    const out = { ...r };
+    renames.forEach(([column, header]) => {
+      out[column] = r[header];
+    });
+    return out;
+  });
+}
+
+export function mappedFields(fields, mapping) {
+  return [...new Set([...fields, ...Object.keys(mapping).filter((column) => mapping[column])])];
+}
+
+const ColumnMappingPanel = ({ source, fields, mapping, onApply, onClose }) => {
+  const [draft, setDraft] = useState(mapping);
+
+  return (
+    <div className="bg-gray-100 rounded-lg p-4 mb-6">
+      <h3 className="font-bold mb-1">Column Mapping</h3>
+      <div className="text-sm text-gray-600 mb-3">
+        Match the columns of {source} to the fields the visualization uses. Fields marked * are required.
+        The mapping is saved for this source.
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2 text-sm">
+        {MAPPABLE_COLUMNS.map((column) => (
+          <label key={column} className="flex items-center justify-between gap-2 bg-white border rounded px-2 py-1">
+            <span>
+              {column}
+              {REQUIRED_COLUMNS.includes(column) && " *"}
+            </span>
+            <select
+              value={draft[column] ?? ""}
+              onChange={(e) => setDraft({ ...draft, [column]: e.target.value || null })}
+              className="px-2 py-1 border rounded max-w-xs"
+            >
+              <option value="">(not mapped)</option>
+              {fields.map((f) => (
+                <option key={f} value={f}>{f}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={() => onApply(draft)}
+          className="text-xs bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+        >
+          Apply & Save
+        </button>
+        <button
+          onClick={() => setDraft(detectColumnMapping(fields))}
+          className="text-xs bg-gray-500 text-white px-3 py-1 rounded hover:bg-gray-600"
+        >
+          Auto-detect
+        </button>
+        <button
+          onClick={onClose}
+          className="text-xs bg-gray-500 text-white px-3 py-1 rounded hover:bg-gray-600"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingPanel;
@@ -0,0 +1,43 @@
+import { detectColumnMapping, resolveColumnMapping, saveColumnMapping, applyColumnMapping } from "./ColumnMapping";
+
+afterEach(() => window.localStorage.clear());
+
+test("headers are matched exactly, then ignoring case and punctuation, then by alias", () => {
+  const mapping = detectColumnMapping(["Country", "ISO3", "year", "GDP (current US$)", "Region", "GDP", "Inflation-Rate"]);
+  expect(mapping).toMatchObject({
+    "Country Name": "Country",
+    "Country Code": "ISO3",
+    Year: "year",
+    // The exact header wins over the alias
+    GDP: "GDP",
+    "Continent Name": "Region",
+    "Inflation Rate": "Inflation-Rate",
+    Unemployment: null,
+  });
+});
+
+test("every column the app reads gets a guess, null for none", () => {
+  const mapping = detectColumnMapping([]);
+  expect(mapping["Country Name"]).toBeNull();
+  expect(mapping["Population Density"]).toBeNull();
+  expect(Object.values(mapping).every((header) => header === null)).toBe(true);
+});
+
+test("saved choices win over detection while their header still exists", () => {
+  const fields = ["Country", "Nation", "Year", "GDP", "Region"];
+  saveColumnMapping("data.csv", { "Country Name": "Nation", "Continent Name": "Gone", Unemployment: null, Other: "Year" });
+  const mapping = resolveColumnMapping("data.csv", fields);
+  expect(mapping["Country Name"]).toBe("Nation");
+  expect(mapping["Continent Name"]).toBe("Region");
+  expect(mapping).not.toHaveProperty("Other");
+  // Other sources keep the detected mapping
+  expect(resolveColumnMapping("other.csv", fields)["Country Name"]).toBe("Country");
+});
+
+test("mapped headers are copied under the app's column names", () => {
+  const rows = [{ Country: "Chad", GDP: 10 }];
+  expect(applyColumnMapping(rows, { "Country Name": "Country", GDP: "GDP", Year: null })).toEqual([
+    { Country: "Chad", "Country Name": "Chad", GDP: 10 },
+  ]);
+  expect(applyColumnMapping(rows, { GDP: "GDP" })).toBe(rows);
+});
@@ -0,0 +1,174 @@
+/*
+
+Table of pinned countries with every numeric column of the dataset for the
+selected year. Each value shows its rank among all countries that year and
+its change since the previous year. Columns sort on click.
+
+*/
+
+import React, { useMemo, useState } from "react";
+import * as d3 from "d3";
+import { PinOff } from "lucide-react";
+import { fieldValue, numericColumns, oncePerCountry } from "./dataQuality";
+import { formatPercent, formatPoints } from "./format";
+
+// Shares and rates change by percentage points rather than by a relative amount
+export function isPercentColumn(column) {
+  return /%|Rate$|^Unemployment$/.test(column);
+}
+
+// Each country's row in the year, by name
+function rowsByCountry(rows, year) {
+  return new Map(oncePerCountry(rows.filter((r) => r.Year === year)).map((r) => [r["Country Name"], r]));
+}
+
+function yearOverYear(column, current, previous) {
+  if (current === null || previous === null) return null;
+  if (isPercentColumn(column)) return { delta: current - previous, text: formatPoints(current - previous) };
+  if (previous === 0) return null;
+  const pct = ((current - previous) / Math.abs(previous)) * 100;
+  return { delta: pct, text: formatPercent(pct, { signed: true }) };
+}
+
+const ComparisonTable = ({ rows, pinned, year, format, onUnpin, onClear }) => {
+  const [sort, setSort] = useState({ column: null, descending: true }); // null = pin order
+
+  const indicators = useMemo(() => numericColumns(rows), [rows]);
+
+  const current = useMemo(() => rowsByCountry(rows, year), [rows, year]);
+  const previous = useMemo(() => rowsByCountry(rows, year - 1), [rows, year]);
+
+  // Rank 1 is the highest value among every country with data that year
+  const ranks = useMemo(() => {
+    const all = [...current.values()];
+    return new Map(
+      indicators.map((column) => {
+        const sorted = all
+          .map((r) => fieldValue(r, column))
+          .filter((v) => v !== null)
+          .sort((a, b) => b - a);
+        return [column, { sorted, count: sorted.length }];
+      })
+    );
+  }, [current, indicators]);
+
+  const rankOf = (column, value) => {
+    if (value === null) return null;
+    return d3.bisector((v) => -v).left(ranks.get(column).sorted, -value) + 1;
+  };
+
+  const sorted = [...pinned];
+  if (sort.column) {
+    const key = (country) =>
+      sort.column === "Country Name" ? country : fieldValue(current.get(country), sort.column);
+    sorted.sort((a, b) => {
+      const ka = key(a);
+      const kb = key(b);
+      // Missing values go last in either direction, and keep pin order among themselves
+      if (ka === null || kb === null) return (ka === null) - (kb === null);
+      const order = ka < kb ? -1 : ka > kb ? 1 : 0;
+      return sort.descending ? -order : order;
+    });
+  }
+
+  const header = (column, label = column) => (
+    <th
+      key={column}
+      scope="col"
+      aria-sort={sort.column === column ? (sort.descending ? "descending" : "ascending") : "none"}
+      className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase whitespace-nowrap"
+    >
+      <button
+        onClick={() =>
+          setSort({ column, descending: sort.column === column ? !sort.descending : column !== "Country Name" })
+        }
+        className="uppercase hover:text-gray-800"
+      >
+        {label}
+        {sort.column === column && (sort.descending ? " ▼" : " ▲")}
+      </button>
+    </th>
+  );
+
+  return (
+    <div className="bg-gray-100 rounded-lg p-4 mb-6">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="font-bold">Pinned Countries ({year})</h3>
+        <button
+          onClick={onClear}
+          className="text-xs bg-gray-500 text-white px-3 py-1 rounded hover:bg-gray-600"
+        >
+          Clear All
+        </button>
+      </div>
+      <div className="bg-white rounded-lg overflow-x-auto border border-gray-200">
+        <table className="w-full text-sm">
+          <caption className="sr-only">
+            Pinned countries in {year}, with each value's rank among all countries and its change since {year - 1}
+          </caption>
+          <thead className="bg-gray-50">
+            <tr>
+              {header("Country Name", "Country")}
+              {indicators.map((column) => header(column))}
+              <th scope="col" className="px-3 py-2">
+                <span className="sr-only">Unpin</span>
+              </th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {sorted.map((country) => {
+              const row = current.get(country);
+              return (
+                <tr key={country} className="hover:bg-gray-50">
+                  <th scope="row" className="px-3 py-2 text-left font-medium whitespace-nowrap">
+                    {country}
+                    {!row && <div className="text-xs font-normal text-gray-500">No data for {year}</div>}
+                  </th>
+                  {indicators.map((column) => {
+                    const value = fieldValue(row, column);
+                    const rank = rankOf(column, value);
+                    const change = yearOverYear(column, value, fieldValue(previous.get(country), column));
+                    return (
+                      <td key={column} className="px-3 py-2 whitespace-nowrap align-top">
+                        <div className="font-medium">{format(column, value)}</div>
+                        {rank !== null && (
+                          <div className="text-xs text-gray-500">
+                            #{rank} of {ranks.get(column).count}
+                          </div>
+                        )}
+                        {change && (
+                          <div
+                            className={`text-xs ${
+                              change.delta > 0 ? "text-blue-700" : change.delta < 0 ? "text-red-700" : "text-gray-500"
+                            }`}
+                          >
+                            {change.text}
+                          </div>
+                        )}
+                      </td>
+                    );
+                  })}
+                  <td className="px-3 py-2">
+                    <button
+                      onClick={() => onUnpin(country)}
+                      aria-label={`Unpin ${country}`}
+                      className="text-gray-500 hover:text-gray-800"
+                    >
+                      <PinOff size={14} />
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="text-xs text-gray-500 mt-2">
+        Ranks count from the highest value among all countries in {year}. Changes are since {year - 1}, in percentage
+        points for shares and rates.
+      </div>
+    </div>
+  );
+};
+
+export default ComparisonTable;
@@ -0,0 +1,168 @@
+/*
+
+Side panel with one country's indicators over every year of the dataset,
+opened by clicking its cell. Each chart marks the selected year, so the
+panel follows the year slider and playback.
+
+*/
+
+import React from "react";
+import * as d3 from "d3";
+import { Pin, PinOff } from "lucide-react";
+import { fieldValue, oncePerCountry } from "./dataQuality";
+import { formatCurrency, formatPercent, NOT_AVAILABLE } from "./format";
+
+const width = 300;
+const height = 110;
+const margin = { top: 8, right: 12, bottom: 18, left: 46 };
+
+// One chart per entry; the sector chart draws a line per share
+const charts = [
+  { title: "GDP", series: [{ column: "GDP" }], format: formatCurrency },
+  { title: "GDP Per Capita", series: [{ column: "GDP Per Capita" }], format: formatCurrency },
+  { title: "Inflation Rate", series: [{ column: "Inflation Rate" }], format: formatPercent },
+  { title: "Unemployment", series: [{ column: "Unemployment" }], format: formatPercent },
+  {
+    title: "Sector shares (% GDP)",
+    series: [
+      { column: "Agriculture (% GDP)", label: "Agriculture" },
+      { column: "Industry (% GDP)", label: "Industry" },
+      { column: "Service (% GDP)", label: "Service" },
+    ],
+    format: formatPercent,
+  },
+];
+
+const LineChart = ({ chart, byYear, years, year, colors }) => {
+  const x = d3.scaleLinear().domain(years).range([margin.left, width - margin.right]);
+  const values = chart.series.flatMap(({ column }) => byYear.map((r) => fieldValue(r, column))).filter((v) => v !== null);
+  const current = byYear.find((r) => r.Year === year);
+
+  if (!values.length) {
+    return (
+      <div className="mb-4">
+        <div className="text-sm font-medium">{chart.title}</div>
+        <div className="text-xs text-gray-500">No data</div>
+      </div>
+    );
+  }
+
+  const y = d3
+    .scaleLinear()
+    .domain(d3.extent(values))
+    .nice(3)
+    .range([height - margin.bottom, margin.top]);
+  // Missing years leave a gap instead of being bridged
+  const lineFor = (column) =>
+    d3
+      .line()
+      .defined((r) => fieldValue(r, column) !== null)
+      .x((r) => x(r.Year))
+      .y((r) => y(fieldValue(r, column)));
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-between text-sm">
+        <span className="font-medium">{chart.title}</span>
+        {chart.series.length === 1 && (
+          <span className="text-gray-600">
+            {year}: {fieldValue(current, chart.series[0].column) === null ? NOT_AVAILABLE : chart.format(fieldValue(current, chart.series[0].column))}
+          </span>
+        )}
+      </div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label={`${chart.title} by year`}>
+        {y.ticks(3).map((tick) => (
+          <g key={tick}>
+            <line x1={margin.left} x2={width - margin.right} y1={y(tick)} y2={y(tick)} className="stroke-gray-200" />
+            <text x={margin.left - 4} y={y(tick)} textAnchor="end" dominantBaseline="middle" fontSize="9" className="fill-gray-500">
+              {chart.format(tick)}
+            </text>
+          </g>
+        ))}
+        {[...new Set(years)].map((tick, i) => (
+          <text
+            key={tick}
+            x={x(tick)}
+            y={height - 4}
+            textAnchor={i === 0 ? "start" : "end"}
+            fontSize="9"
+            className="fill-gray-500"
+          >
+            {tick}
+          </text>
+        ))}
+        {chart.series.map(({ column }) => (
+          <path
+            key={column}
+            d={lineFor(column)(byYear)}
+            fill="none"
+            stroke={colors[column] || "#2563eb"}
+            strokeWidth={2}
+          />
+        ))}
+        {/* Marker at the selected year */}
+        <line x1={x(year)} x2={x(year)} y1={margin.top} y2={height - margin.bottom} className="stroke-gray-900" strokeDasharray="3,2" />
+        {chart.series.map(({ column }) =>
+          fieldValue(current, column) === null ? null : (
+            <circle
+              key={column}
+              cx={x(year)}
+              cy={y(fieldValue(current, column))}
+              r={3.5}
+              fill={colors[column] || "#2563eb"}
+              className="stroke-white"
+            />
+          )
+        )}
+      </svg>
+      {chart.series.length > 1 && (
+        <div className="flex flex-wrap gap-3 text-xs">
+          {chart.series.map(({ column, label }) => (
+            <span key={column} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 rounded" style={{ background: colors[column] || "#2563eb" }} />
+              {label}: {fieldValue(current, column) === null ? NOT_AVAILABLE : chart.format(fieldValue(current, column))}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const CountryDetailPanel = ({ rows, country, years, year, colors = {}, pinned, onTogglePin, onClose }) => {
+  const byYear = oncePerCountry(rows.filter((r) => r["Country Name"] === country)).sort((a, b) => a.Year - b.Year);
+
+  return (
+    <aside className="w-80 shrink-0 bg-gray-100 rounded-lg p-4" aria-label={`${country} over time`}>
+      <div className="flex justify-between items-start mb-3">
+        <div>
+          <h3 className="font-bold">{country}</h3>
+          <div className="text-xs text-gray-600">
+            {byYear.length ? `${byYear[0]["Continent Name"]}, ${byYear[0].Year}-${byYear[byYear.length - 1].Year}` : "Not in this dataset"}
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={onTogglePin}
+            aria-pressed={pinned}
+            className="flex items-center gap-1 text-xs bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600"
+          >
+            {pinned ? <PinOff size={14} /> : <Pin size={14} />} {pinned ? "Unpin" : "Pin"}
+          </button>
+          <button
+            onClick={onClose}
+            className="text-xs bg-gray-500 text-white px-3 py-1 rounded hover:bg-gray-600"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+      {byYear.length > 0 &&
+        charts.map((chart) => (
+          <LineChart key={chart.title} chart={chart} byYear={byYear} years={years} year={year} colors={colors} />
+        ))}
+    </aside>
+  );
+};
+
+export default CountryDetailPanel;
@@ -0,0 +1,145 @@
+/*
+
+Search field for jumping to a country in the treemap. Matching is fuzzy on the
+country name and exact-or-prefix on its ISO code, so "ger", "DEU" and "grmny"
+all find Germany. Arrow keys move through the results, Enter picks one, and
+emptying the field clears the choice.
+
+*/
+
+import React, { useId, useMemo, useState } from "react";
+
+const MAX_RESULTS = 8;
+
+// Lowercase without accents, so "cote" finds "Côte d'Ivoire"
+function simplify(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// Higher is better, 0 = no match. Whole-name and word-start matches beat
+// matches in the middle of a word, which beat letters scattered in order
+export function fuzzyScore(query, text) {
+  const q = simplify(query).trim();
+  const t = simplify(text);
+  if (!q) return 0;
+  if (t === q) return 100;
+  if (t.startsWith(q)) return 90 - Math.min(t.length - q.length, 20) / 4;
+  const at = t.indexOf(q);
+  if (at > 0) return (/\W/.test(t[at - 1]) ? 70 : 50) - Math.min(at, 20) / 4;
+
+  // Every query letter in order; gaps between them cost points
+  let score = 40;
+  let from = 0;
+  for (const ch of q.replace(/\s+/g, "")) {
+    const i = t.indexOf(ch, from);
+    if (i < 0) return 0;
+    score -= Math.min(i - from, 5);
+    from = i + 1;
+  }
+  return Math.max(score, 1);
+}
+
+// countries: [{ name, code, continent }], one per name; best matches first
+export function searchCountries(countries, query, limit = MAX_RESULTS) {
+  const q = query.trim();
+  if (!q) return [];
+  return countries
+    .map((country) => {
+      const code = country.code ? simplify(country.code) : "";
+      const codeScore = !code ? 0 : code === simplify(q) ? 95 : code.startsWith(simplify(q)) ? 60 : 0;
+      return { country, score: Math.max(fuzzyScore(q, country.name), codeScore) };
+    })
+    .filter((m) => m.score > 0)
+    .sort((a, b) => b.score - a.score || a.country.name.localeCompare(b.country.name))
+    .slice(0, limit)
+    .map((m) => m.country);
+}
+
+const CountrySearch = ({ countries, onChoose, onClear }) => {
+  const [query, setQuery] = useState("");
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const listId = useId();
+
+  const results = useMemo(() => searchCountries(countries, query), [countries, query]);
+  const showList = open && results.length > 0;
+
+  function choose(country) {
+    setQuery(country.name);
+    setOpen(false);
+    onChoose(country.name);
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setOpen(true);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((i) => (results.length ? (i + step + results.length) % results.length : 0));
+    } else if (e.key === "Enter" && showList) {
+      e.preventDefault();
+      choose(results[Math.min(active, results.length - 1)]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="search"
+        role="combobox"
+        aria-label="Find a country by name or ISO code"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={showList ? `${listId}-${active}` : undefined}
+        placeholder="Find a country…"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+          setOpen(true);
+          if (!e.target.value) onClear();
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        className="px-2 py-1 border rounded text-sm w-56"
+      />
+      {showList && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute right-0 z-20 mt-1 w-72 bg-white border rounded shadow text-sm text-gray-900"
+        >
+          {results.map((country, i) => (
+            <li
+              key={country.name}
+              id={`${listId}-${i}`}
+              role="option"
+              aria-selected={i === active}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                choose(country);
+              }}
+              onMouseEnter={() => setActive(i)}
+              className={`flex justify-between px-3 py-1 cursor-pointer ${i === active ? "bg-blue-100" : ""}`}
+            >
+              <span>{country.name}</span>
+              <span className="text-xs text-gray-500">
+                {[country.code, country.continent].filter(Boolean).join(" · ")}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CountrySearch;
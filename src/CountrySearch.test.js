@@ -0,0 +1,60 @@
+import { fuzzyScore, searchCountries } from "./CountrySearch";
+
+test("exact names beat prefixes, which beat word starts, inner matches and scattered letters", () => {
+  const scores = [
+    fuzzyScore("niger", "Niger"),
+    fuzzyScore("niger", "Nigeria"),
+    fuzzyScore("guinea", "Papua New Guinea"),
+    fuzzyScore("ger", "Niger"),
+    fuzzyScore("grmny", "Germany"),
+  ];
+  expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  expect(new Set(scores).size).toBe(scores.length);
+});
+
+test("shorter names win among prefixes, and earlier matches among inner ones", () => {
+  expect(fuzzyScore("ma", "Mali")).toBeGreaterThan(fuzzyScore("ma", "Madagascar"));
+  expect(fuzzyScore("land", "Iceland")).toBeGreaterThan(fuzzyScore("land", "Switzerland"));
+});
+
+test("fewer gaps between scattered letters score higher", () => {
+  expect(fuzzyScore("grmny", "Germany")).toBeGreaterThan(fuzzyScore("gmy", "Germany"));
+});
+
+test("case, accents and surrounding spaces don't matter", () => {
+  expect(fuzzyScore("  COTE d'ivoire ", "Côte d'Ivoire")).toBe(100);
+});
+
+test("no match scores 0", () => {
+  expect(fuzzyScore("xyz", "Germany")).toBe(0);
+  expect(fuzzyScore("ynamreg", "Germany")).toBe(0);
+  expect(fuzzyScore("   ", "Germany")).toBe(0);
+});
+
+const countries = [
+  { name: "Germany", code: "DEU", continent: "Europe" },
+  { name: "Niger", code: "NER", continent: "Africa" },
+  { name: "Nigeria", code: "NGA", continent: "Africa" },
+  { name: "Algeria", code: "DZA", continent: "Africa" },
+  { name: "Kosovo", code: "", continent: "Europe" },
+];
+const names = (results) => results.map((c) => c.name);
+
+test("search lists the best matches first, and equal matches by name", () => {
+  expect(names(searchCountries(countries, "niger"))).toEqual(["Niger", "Nigeria"]);
+  expect(names(searchCountries(countries, "ger"))).toEqual(["Germany", "Algeria", "Niger", "Nigeria"]);
+});
+
+test("search matches ISO codes exactly or by prefix", () => {
+  expect(names(searchCountries(countries, "deu"))).toEqual(["Germany"]);
+  expect(names(searchCountries(countries, "dz"))).toEqual(["Algeria"]);
+});
+
+test("search stops at the limit", () => {
+  expect(names(searchCountries(countries, "ger", 2))).toEqual(["Germany", "Algeria"]);
+});
+
+test("an empty search has no results", () => {
+  expect(searchCountries(countries, "  ")).toEqual([]);
+  expect(searchCountries(countries, "qqq")).toEqual([]);
+});
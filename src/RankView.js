@@ -0,0 +1,264 @@
+/*
+
+Rankings of the largest countries: a table of the selected year with each
+country's movement since the previous year and since the first year, and a
+bump chart of how the top countries' ranks changed across all years. Ranks
+are among the countries passed in (the current filters) with a positive size.
+
+*/
+
+import React, { useMemo, useState } from "react";
+import * as d3 from "d3";
+import { oncePerCountry } from "./dataQuality";
+
+const width = 800;
+const rowHeight = 28;
+const margin = { top: 24, right: 150, bottom: 12, left: 36 };
+
+// year -> (country name -> { name, continent, record, rank })
+function rankings(rows, [firstYear, lastYear], sizeOf) {
+  const byYear = d3.group(oncePerCountry(rows), (r) => Number(r.Year));
+  return new Map(
+    d3.range(firstYear, lastYear + 1).map((year) => {
+      const ranked = (byYear.get(year) || [])
+        .map((r) => ({ name: r["Country Name"], continent: r["Continent Name"], record: r, size: sizeOf(r) }))
+        .filter((c) => c.size > 0)
+        .sort((a, b) => b.size - a.size);
+      return [year, new Map(ranked.map((c, i) => [c.name, { ...c, rank: i + 1 }]))];
+    })
+  );
+}
+
+// ▲ for places gained, ▼ for places lost; "new" when it wasn't ranked then
+const Movement = ({ from, to, since }) => {
+  if (since === null) return <span className="text-gray-400">–</span>;
+  if (!from) return <span className="text-gray-500 text-xs" title={`Not ranked in ${since}`}>new</span>;
+  const change = from.rank - to.rank;
+  if (change === 0) return <span className="text-gray-400" title={`Same rank as in ${since}`}>–</span>;
+  return (
+    <span
+      className={`font-medium ${change > 0 ? "text-green-700" : "text-red-700"}`}
+      title={`${change > 0 ? "Up" : "Down"} ${Math.abs(change)} since ${since} (rank ${from.rank})`}
+    >
+      {change > 0 ? "▲" : "▼"}
+      {Math.abs(change)}
+    </span>
+  );
+};
+
+const BumpChart = ({ ranks, years, year, count, colors, focused, onFocusCountry }) => {
+  const [hovered, setHovered] = useState(null);
+  const names = [...(ranks.get(year)?.values() || [])].slice(0, count).map((c) => c.name);
+  const series = names.map((name) => ({
+    name,
+    continent: ranks.get(year).get(name).continent,
+    points: d3.range(years[0], years[1] + 1).map((y) => ({ year: y, rank: ranks.get(y).get(name)?.rank ?? null })),
+  }));
+  const lowest = Math.max(count, d3.max(series, (s) => d3.max(s.points, (p) => p.rank)) || 1);
+  const height = margin.top + margin.bottom + rowHeight * Math.min(lowest, count * 2);
+  const x = d3.scaleLinear().domain(years).range([margin.left, width - margin.right]);
+  // Ranks far below the top are squeezed into the bottom of the chart
+  const y = d3
+    .scaleLinear()
+    .domain([1, Math.min(lowest, count * 2)])
+    .range([margin.top, height - margin.bottom])
+    .clamp(true);
+  const line = d3
+    .line()
+    .defined((p) => p.rank !== null)
+    .x((p) => x(p.year))
+    .y((p) => y(p.rank));
+  const lastPoint = (s) => s.points.filter((p) => p.rank !== null).pop();
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      className="w-full h-auto bg-white rounded"
+      role="group"
+      aria-label={`Ranks of the top ${names.length} countries in ${year}, ${years[0]} to ${years[1]}`}
+    >
+      {x.ticks(Math.min(years[1] - years[0], 12)).map((tick) => (
+        <text key={tick} x={x(tick)} y={margin.top - 10} textAnchor="middle" fontSize="10" className="fill-gray-500">
+          {tick}
+        </text>
+      ))}
+      {d3.range(1, count + 1).map((rank) => (
+        <text key={rank} x={margin.left - 8} y={y(rank)} textAnchor="end" dominantBaseline="middle" fontSize="10" className="fill-gray-500">
+          {rank}
+        </text>
+      ))}
+      {/* The selected year */}
+      <line x1={x(year)} x2={x(year)} y1={margin.top - 4} y2={height - margin.bottom} className="stroke-gray-400" strokeDasharray="4 3" />
+
+      {series.map((s) => {
+        const active = s.name === hovered || s.name === focused;
+        const end = lastPoint(s);
+        const color = colors[s.continent] || "#999";
+        return (
+          <g
+            key={s.name}
+            role="button"
+            tabIndex={0}
+            aria-label={`${s.name}: rank ${ranks.get(year).get(s.name).rank} in ${year}. Show in the treemap`}
+            aria-pressed={s.name === focused}
+            style={{ cursor: "pointer" }}
+            opacity={hovered && !active ? 0.3 : 1}
+            onMouseEnter={() => setHovered(s.name)}
+            onMouseLeave={() => setHovered(null)}
+            onFocus={() => setHovered(s.name)}
+            onBlur={() => setHovered(null)}
+            onClick={() => onFocusCountry(s.name)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" || e.key === " ") {
+                e.preventDefault();
+                onFocusCountry(s.name);
+              }
+            }}
+          >
+            {/* Wide transparent stroke so thin lines are easy to click */}
+            <path d={line(s.points)} fill="none" stroke="transparent" strokeWidth={12} />
+            <path d={line(s.points)} fill="none" stroke={color} strokeWidth={active ? 4 : 2} />
+            {s.points
+              .filter((p) => p.rank !== null)
+              .map((p) => (
+                <circle key={p.year} cx={x(p.year)} cy={y(p.rank)} r={active ? 4 : 3} fill={color} className="stroke-white">
+                  <title>{`${s.name}, ${p.year}: rank ${p.rank}`}</title>
+                </circle>
+              ))}
+            {end && (
+              <text
+                x={x(end.year) + 8}
+                y={y(end.rank)}
+                dominantBaseline="middle"
+                fontSize="11"
+                fontWeight={active ? 700 : 400}
+                className="fill-gray-900"
+              >
+                {s.name}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// rows: every year of the selected countries; sizeOf ranks a record and
+// formatValue shows its value
+const RankView = ({ rows, years, year, sizeOf, formatValue, label, colors, focused, onFocusCountry }) => {
+  const [mode, setMode] = useState("table");
+  const [count, setCount] = useState(5);
+  const ranks = useMemo(() => rankings(rows, years, sizeOf), [rows, years, sizeOf]);
+  const current = [...(ranks.get(year)?.values() || [])];
+  const top = current.slice(0, count);
+  const previousYear = year > years[0] ? year - 1 : null;
+  const firstYear = year > years[0] ? years[0] : null;
+
+  if (!top.length) return null;
+
+  const header = "px-4 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider";
+  return (
+    <div className="bg-gray-100 rounded-lg p-4 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-3">
+        <h3 className="font-bold">
+          Top {count} Countries by {label} ({mode === "table" ? year : `${years[0]}–${years[1]}`})
+        </h3>
+        <div className="flex items-center gap-4 text-sm">
+          <label className="flex items-center gap-2">
+            <span className="font-medium">Show</span>
+            <select value={count} onChange={(e) => setCount(Number(e.target.value))} className="px-2 py-1 border rounded">
+              {[5, 10, 15, 20].map((n) => (
+                <option key={n} value={n}>Top {n}</option>
+              ))}
+            </select>
+          </label>
+          <div role="group" aria-label="Ranking view" className="flex rounded border overflow-hidden">
+            {[
+              ["table", "Table"],
+              ["bump", "Rank over time"],
+            ].map(([value, text]) => (
+              <button
+                key={value}
+                aria-pressed={mode === value}
+                onClick={() => setMode(value)}
+                className={`px-3 py-1 ${mode === value ? "bg-blue-500 text-white" : "bg-white hover:bg-gray-50"}`}
+              >
+                {text}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {mode === "table" ? (
+        <div className="bg-white rounded-lg overflow-hidden border border-gray-200">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className={`${header} text-left`}>Rank</th>
+                <th className={`${header} text-left`}>Country</th>
+                <th className={`${header} text-left`}>Continent</th>
+                <th className={`${header} text-right`}>{label}</th>
+                <th className={`${header} text-right`}>Since {previousYear ?? "last year"}</th>
+                <th className={`${header} text-right`}>Since {years[0]}</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {top.map((country) => (
+                <tr key={country.name} className={country.name === focused ? "bg-yellow-50" : "hover:bg-gray-50"}>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <span className="bg-blue-500 text-white text-xs font-bold rounded-full w-6 h-6 flex items-center justify-center">
+                      {country.rank}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <button
+                      onClick={() => onFocusCountry(country.name)}
+                      aria-pressed={country.name === focused}
+                      className="text-sm font-medium text-gray-900 hover:underline"
+                    >
+                      {country.name}
+                    </button>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <div className="text-sm text-gray-500">{country.continent}</div>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right">
+                    <div className="text-sm font-bold text-gray-900">{formatValue(country.record)}</div>
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right text-sm">
+                    <Movement from={ranks.get(previousYear)?.get(country.name)} to={country} since={previousYear} />
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-right text-sm">
+                    <Movement from={ranks.get(firstYear)?.get(country.name)} to={country} since={firstYear} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <BumpChart
+          ranks={ranks}
+          years={years}
+          year={year}
+          count={count}
+          colors={colors}
+          focused={focused}
+          onFocusCountry={onFocusCountry}
+        />
+      )}
+
+      <div className="text-center text-sm text-gray-500 mt-3">
+        {top.length < count
+          ? `Showing ${top.length} countries (filtered by your selections)`
+          : mode === "table"
+          ? "Click a country to find it in the treemap."
+          : "Click a line to find that country in the treemap."}
+      </div>
+    </div>
+  );
+};
+
+export default RankView;
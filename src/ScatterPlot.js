@@ -0,0 +1,196 @@
+/*
+
+Scatter/bubble chart of any two numeric columns for the selected year, with
+an optional third column for the bubble size. Dragging a box over the points
+selects those countries in the treemap, and hovering a point or a treemap cell
+highlights its counterpart in the other chart.
+
+*/
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import * as d3 from "d3";
+import { fieldValue, oncePerCountry } from "./dataQuality";
+
+const width = 800;
+const height = 420;
+const margin = { top: 12, right: 16, bottom: 40, left: 64 };
+
+// The first of the preferred columns the data has
+const pick = (columns, ...preferred) => preferred.find((c) => columns.includes(c)) ?? columns[0] ?? "";
+
+const ScatterPlot = ({ rows, columns, year, colors, format, selected, hovered, onHover, onBrush }) => {
+  const [xColumn, setXColumn] = useState(() => pick(columns, "GDP Per Capita", "GDP"));
+  const [yColumn, setYColumn] = useState(() => pick(columns, "Unemployment", "Inflation Rate"));
+  const [sizeColumn, setSizeColumn] = useState(() => (columns.includes("Population") ? "Population" : "none"));
+  const [logX, setLogX] = useState(true);
+  const [logY, setLogY] = useState(false);
+  const brushRef = useRef(null);
+
+  // One point per country; log axes drop values <= 0
+  const points = useMemo(() => {
+    return oncePerCountry(rows)
+      .map((r) => ({
+        name: r["Country Name"],
+        continent: r["Continent Name"],
+        x: fieldValue(r, xColumn),
+        y: fieldValue(r, yColumn),
+        size: sizeColumn === "none" ? null : fieldValue(r, sizeColumn),
+      }))
+      .filter((p) => p.x !== null && p.y !== null && (!logX || p.x > 0) && (!logY || p.y > 0))
+      .sort((a, b) => Math.abs(b.size ?? 0) - Math.abs(a.size ?? 0)); // small bubbles on top
+  }, [rows, xColumn, yColumn, sizeColumn, logX, logY]);
+
+  const scales = useMemo(() => {
+    const axis = (log, extent, range) =>
+      (log ? d3.scaleLog() : d3.scaleLinear()).domain(extent[0] === undefined ? [1, 10] : extent).nice().range(range);
+    return {
+      x: axis(logX, d3.extent(points, (p) => p.x), [margin.left, width - margin.right]),
+      y: axis(logY, d3.extent(points, (p) => p.y), [height - margin.bottom, margin.top]),
+      r: d3
+        .scaleSqrt()
+        .domain([0, d3.max(points, (p) => Math.abs(p.size ?? 0)) || 1])
+        .range([2, 24]),
+    };
+  }, [points, logX, logY]);
+
+  const radius = (p) => (p.size === null ? 5 : scales.r(Math.abs(p.size)));
+
+  // Brushing selects the countries inside the box; clearing it shows them all.
+  // Moves made here (sourceEvent unset) don't touch the selection
+  useEffect(() => {
+    const g = d3.select(brushRef.current);
+    const brush = d3
+      .brush()
+      .extent([
+        [margin.left, margin.top],
+        [width - margin.right, height - margin.bottom],
+      ])
+      .on("end", (event) => {
+        if (!event.sourceEvent) return;
+        if (!event.selection) {
+          onBrush(null);
+          return;
+        }
+        const [[x0, y0], [x1, y1]] = event.selection;
+        onBrush(
+          points
+            .filter((p) => {
+              const [x, y] = [scales.x(p.x), scales.y(p.y)];
+              return x >= x0 && x <= x1 && y >= y0 && y <= y1;
+            })
+            .map((p) => p.name)
+        );
+      });
+    g.call(brush).call(brush.move, null);
+    return () => g.on(".brush", null);
+  }, [points, scales, onBrush]);
+
+  const isSelected = (p) => !selected.size || selected.has(p.name);
+  const isHovered = (p) => Boolean(hovered?.includes(p.name));
+  const columnSelect = (label, value, onChange, extra) => (
+    <label className="flex items-center gap-2">
+      <span className="font-medium">{label}</span>
+      <select value={value} onChange={(e) => onChange(e.target.value)} className="px-2 py-1 border rounded">
+        {extra}
+        {columns.map((c) => (
+          <option key={c} value={c}>{c}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-4 mb-2 text-sm">
+        {columnSelect("X", xColumn, setXColumn)}
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={logX} onChange={(e) => setLogX(e.target.checked)} /> log
+        </label>
+        {columnSelect("Y", yColumn, setYColumn)}
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={logY} onChange={(e) => setLogY(e.target.checked)} /> log
+        </label>
+        {columnSelect("Size", sizeColumn, setSizeColumn, <option value="none">None</option>)}
+        <span className="text-xs text-gray-500">Drag a box to select countries in the treemap; click outside it to clear.</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        className="w-full h-auto bg-white rounded"
+        role="img"
+        aria-label={`${yColumn} against ${xColumn} for ${points.length} countries in ${year}`}
+      >
+        {scales.x.ticks(logX ? 5 : 8).map((tick) => (
+          <g key={`x${tick}`}>
+            <line x1={scales.x(tick)} x2={scales.x(tick)} y1={margin.top} y2={height - margin.bottom} className="stroke-gray-200" />
+            <text x={scales.x(tick)} y={height - margin.bottom + 14} textAnchor="middle" fontSize="10" className="fill-gray-500">
+              {format(xColumn, tick)}
+            </text>
+          </g>
+        ))}
+        {scales.y.ticks(logY ? 5 : 6).map((tick) => (
+          <g key={`y${tick}`}>
+            <line x1={margin.left} x2={width - margin.right} y1={scales.y(tick)} y2={scales.y(tick)} className="stroke-gray-200" />
+            <text x={margin.left - 6} y={scales.y(tick)} textAnchor="end" dominantBaseline="middle" fontSize="10" className="fill-gray-500">
+              {format(yColumn, tick)}
+            </text>
+          </g>
+        ))}
+        <text x={(margin.left + width - margin.right) / 2} y={height - 6} textAnchor="middle" fontSize="11" className="fill-gray-700">
+          {xColumn}
+        </text>
+        <text
+          transform={`translate(14, ${(margin.top + height - margin.bottom) / 2}) rotate(-90)`}
+          textAnchor="middle"
+          fontSize="11"
+          className="fill-gray-700"
+        >
+          {yColumn}
+        </text>
+
+        {/* Brush below the points, so points keep their hover */}
+        <g ref={brushRef} />
+        <g>
+          {points.map((p) => (
+            <circle
+              key={p.name}
+              cx={scales.x(p.x)}
+              cy={scales.y(p.y)}
+              r={radius(p)}
+              fill={colors[p.continent] || "#ccc"}
+              fillOpacity={isSelected(p) ? 0.75 : 0.15}
+              className={isHovered(p) ? "stroke-gray-900" : "stroke-white"}
+              strokeWidth={isHovered(p) ? 2.5 : 0.5}
+              onMouseEnter={() => onHover([p.name])}
+              onMouseLeave={() => onHover(null)}
+            >
+              <title>
+                {`${p.name}\n${xColumn}: ${format(xColumn, p.x)}\n${yColumn}: ${format(yColumn, p.y)}` +
+                  (p.size === null ? "" : `\n${sizeColumn}: ${format(sizeColumn, p.size)}`)}
+              </title>
+            </circle>
+          ))}
+        </g>
+        {/* Names of the hovered points, drawn last so nothing covers them */}
+        <g pointerEvents="none">
+          {points.filter(isHovered).map((p) => (
+            <text
+              key={p.name}
+              x={scales.x(p.x)}
+              y={scales.y(p.y) - radius(p) - 4}
+              textAnchor="middle"
+              fontSize="11"
+              fontWeight="700"
+              className="fill-gray-900 stroke-white"
+              strokeWidth={3}
+              paintOrder="stroke"
+            >
+              {p.name}
+            </text>
+          ))}
+        </g>
+      </svg>
+    </div>
+  );
+};
+
+export default ScatterPlot;
@@ -0,0 +1,49 @@
+/*
+
+Totals and averages of a group of countries for one year, shown in the group
+tooltips and the summary bar above the chart. Averages weight each country by
+its population or GDP where that's what makes the figure comparable to a
+single country's, and every figure skips the countries missing its columns.
+
+*/
+
+import * as d3 from "d3";
+import { fieldValue, oncePerCountry } from "./dataQuality";
+import { formatCurrency, formatNumber, formatPercent } from "./format";
+
+// Mean of column over the rows that have both it and a positive weight
+function weightedMean(rows, column, weightColumn) {
+  const pairs = rows
+    .map((r) => [fieldValue(r, column), fieldValue(r, weightColumn)])
+    .filter(([value, weight]) => value !== null && weight > 0);
+  const totalWeight = d3.sum(pairs, ([, weight]) => weight);
+  return totalWeight > 0 ? d3.sum(pairs, ([value, weight]) => value * weight) / totalWeight : null;
+}
+
+// rows: records of one year. worldGdp is the total of every country that
+// year, for the share of world
+export function aggregateStats(rows, worldGdp = null) {
+  const countries = oncePerCountry(rows);
+  const withGdp = countries.filter((r) => fieldValue(r, "GDP") > 0);
+  const gdp = d3.sum(withGdp, (r) => fieldValue(r, "GDP"));
+  return {
+    countries: withGdp.length,
+    gdp,
+    share: worldGdp > 0 ? (gdp / worldGdp) * 100 : null,
+    gdpPerCapita: weightedMean(countries, "GDP Per Capita", "Population"),
+    inflation: d3.median(countries, (r) => fieldValue(r, "Inflation Rate")) ?? null,
+    unemployment: weightedMean(countries, "Unemployment", "GDP"),
+  };
+}
+
+// [label, formatted value] pairs, in the order they're shown
+export function aggregateLines(stats) {
+  return [
+    ["Total GDP", formatCurrency(stats.gdp)],
+    ["Share of world GDP", formatPercent(stats.share)],
+    ["GDP per capita (population-weighted)", formatCurrency(stats.gdpPerCapita, { compact: false })],
+    ["Median inflation", formatPercent(stats.inflation)],
+    ["Unemployment (GDP-weighted)", formatPercent(stats.unemployment)],
+    ["Countries with data", formatNumber(stats.countries, { compact: false })],
+  ];
+}
@@ -0,0 +1,307 @@
+/*
+
+Canvas renderer for large treemaps, where one SVG element per cell and makeup
+component makes the page slow. The cells are collected into a "scene" that is
+painted onto a canvas, hit-tested for hover and clicks, and written out as a
+static SVG for exports. Styles come from the same function as the SVG
+renderer, so both draw the same chart.
+
+*/
+
+import * as d3 from "d3";
+import { polygonPath } from "./voronoiLayout";
+import { groupBorderWidth } from "./grouping";
+
+const DIMMED_OPACITY = 0.25;
+
+// Label positions and sizes from a cell's polygon; also used by the SVG renderer
+export function labelLayout(polygon) {
+  const area = Math.abs(d3.polygonArea(polygon));
+  const [x, y] = d3.polygonCentroid(polygon);
+  return {
+    name: { x, y, size: Math.max(10, Math.sqrt(area) / 18), visible: area > 1200 },
+    value: { x, y: y + Math.sqrt(area) / 18, size: Math.max(9, Math.sqrt(area) / 24), visible: area > 4200 },
+  };
+}
+
+// The group nodes of every level, and the country and Others cells inside the
+// innermost groups (or directly in the world); also used by the SVG renderer
+export function groupsAndCells(root) {
+  const nodes = root.descendants().filter((d) => d.polygon && d.parent);
+  return {
+    groups: nodes.filter((d) => d.data.group),
+    cells: nodes.filter((d) => !d.data.group && (d.parent === root || d.parent.data.group)),
+  };
+}
+
+// root is a d3.hierarchy with polygons; styleOf(node) gives a country cell's
+// fill, border, opacity, labels and tooltip
+function treemapScene(root, { styleOf, componentColor }) {
+  const { groups, cells } = groupsAndCells(root);
+  return {
+    groups,
+    cells: cells.map((node) => {
+      const style = styleOf(node);
+      return {
+        node,
+        style,
+        labels: labelLayout(node.polygon),
+        components: style.subdivided
+          ? node.children.filter((c) => c.polygon).map((c) => ({ node: c, fill: componentColor(c.data.name) }))
+          : [],
+      };
+    }),
+  };
+}
+
+// hovered is a hitTest result; the hovered cell gets the focus border
+function paintScene(canvas, scene, { width, height, outline, focusColor, hovered = null }) {
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return;
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  const fontFamily = window.getComputedStyle(canvas).fontFamily || "sans-serif";
+
+  const trace = (polygon) => {
+    ctx.beginPath();
+    polygon.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+    ctx.closePath();
+  };
+
+  scene.cells.forEach((cell) => {
+    const { node, style, components, labels } = cell;
+    const alpha = style.dimmed ? DIMMED_OPACITY : 1;
+
+    components.forEach((c) => {
+      trace(c.node.polygon);
+      ctx.globalAlpha = alpha * style.fillOpacity;
+      ctx.fillStyle = c.fill;
+      ctx.fill();
+      ctx.globalAlpha = alpha;
+      ctx.lineWidth = c === hovered?.component ? 4 : 1;
+      ctx.strokeStyle = c === hovered?.component ? "white" : "rgba(0,0,0,0.05)";
+      ctx.stroke();
+    });
+
+    trace(node.polygon);
+    if (style.fill !== "none") {
+      ctx.globalAlpha = alpha * style.fillOpacity;
+      ctx.fillStyle = style.fill;
+      ctx.fill();
+    }
+    const isHovered = cell === hovered?.cell && !hovered.component;
+    ctx.globalAlpha = alpha;
+    ctx.lineWidth = isHovered || style.isHighlighted ? 4 : 2;
+    ctx.strokeStyle = isHovered ? focusColor : style.stroke;
+    ctx.stroke();
+
+    ctx.fillStyle = style.textColor;
+    ctx.textAlign = "center";
+    if (labels.name.visible) {
+      ctx.font = `700 ${labels.name.size}px ${fontFamily}`;
+      ctx.textBaseline = "middle";
+      ctx.fillText(node.data.name, labels.name.x, labels.name.y);
+    }
+    if (labels.value.visible) {
+      ctx.font = `${labels.value.size}px ${fontFamily}`;
+      ctx.textBaseline = "top";
+      ctx.fillText(style.label, labels.value.x, labels.value.y);
+    }
+  });
+  ctx.globalAlpha = 1;
+
+  // Group outlines on top, thinner for each level down
+  ctx.strokeStyle = outline;
+  scene.groups.forEach((group) => {
+    trace(group.polygon);
+    ctx.lineWidth = groupBorderWidth(group.depth);
+    ctx.stroke();
+  });
+}
+
+function distanceToSegment([x, y], [x0, y0], [x1, y1]) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const t = dx || dy ? Math.max(0, Math.min(1, ((x - x0) * dx + (y - y0) * dy) / (dx * dx + dy * dy))) : 0;
+  return Math.hypot(x - (x0 + t * dx), y - (y0 + t * dy));
+}
+
+function nearBorder(polygon, point, tolerance) {
+  return polygon.some((p, i) => distanceToSegment(point, p, polygon[(i + 1) % polygon.length]) <= tolerance);
+}
+
+// What's under a point in chart coordinates: { group } on the border of a
+// group at groupDepth (null for none), { cell } or { cell, component } inside
+// a country, or null. Subdivided cells only respond through their components
+function hitTest(scene, x, y, { groupDepth = 1 } = {}) {
+  const point = [x, y];
+  const group = scene.groups.find((g) => g.depth === groupDepth && nearBorder(g.polygon, point, 5));
+  if (group) return { group };
+  const cell = scene.cells.find((c) => d3.polygonContains(c.node.polygon, point));
+  if (!cell) return null;
+  if (!cell.style.subdivided) return { cell };
+  const component = cell.components.find((c) => d3.polygonContains(c.node.polygon, point));
+  return component ? { cell, component } : null;
+}
+
+// The painted chart as a detached SVG element, for the SVG and PNG exports
+function sceneToSvg(scene, { width, height, outline }) {
+  const svg = d3.create("svg").attr("viewBox", `0 0 ${width} ${height}`);
+
+  scene.cells.forEach(({ node, style, components, labels }) => {
+    const g = svg.append("g").attr("opacity", style.dimmed ? DIMMED_OPACITY : null);
+    components.forEach((c) => {
+      g.append("path")
+        .attr("d", polygonPath(c.node.polygon))
+        .attr("fill", c.fill)
+        .attr("fill-opacity", style.fillOpacity)
+        .attr("stroke", "rgba(0,0,0,0.05)");
+    });
+    g.append("path")
+      .attr("d", polygonPath(node.polygon))
+      .attr("fill", style.fill)
+      .attr("fill-opacity", style.fillOpacity)
+      .attr("stroke", style.stroke)
+      .attr("stroke-width", style.isHighlighted ? 4 : 2);
+    if (labels.name.visible) {
+      g.append("text")
+        .attr("x", labels.name.x)
+        .attr("y", labels.name.y)
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "middle")
+        .attr("fill", style.textColor)
+        .style("font-weight", "700")
+        .style("font-size", `${labels.name.size}px`)
+        .text(node.data.name);
+    }
+    if (labels.value.visible) {
+      g.append("text")
+        .attr("x", labels.value.x)
+        .attr("y", labels.value.y)
+        .attr("text-anchor", "middle")
+        .attr("dominant-baseline", "hanging")
+        .attr("fill", style.textColor)
+        .style("font-size", `${labels.value.size}px`)
+        .text(style.label);
+    }
+  });
+
+  scene.groups.forEach((group) => {
+    svg
+      .append("path")
+      .attr("d", polygonPath(group.polygon))
+      .attr("fill", "none")
+      .attr("stroke", outline)
+      .attr("stroke-width", groupBorderWidth(group.depth));
+  });
+
+  return svg.node();
+}
+
+// Canvas version of drawTreemap (App.js) for large trees: the same cells,
+// colors and tooltips painted onto one element, with hit testing in place of
+// per-cell events. Cells don't morph between layouts, and keyboard users get
+// the data table instead of arrow-key navigation. root and styleOf are as in
+// treemapScene; namesOf gives the countries behind a cell, and groupHtml and
+// componentHtml the tooltips of groups and makeup components
+export function drawTreemapCanvas(
+  canvas,
+  root,
+  {
+    width: w,
+    height: h,
+    styleOf,
+    palette,
+    highlight = null,
+    namesOf,
+    groupHtml,
+    componentHtml,
+    tooltip,
+    focus,
+    onFocus,
+    onSelect,
+    onHover = () => {},
+  }
+) {
+  const scene = treemapScene(root, {
+    styleOf,
+    componentColor: (name) => palette.components[name] || "#ddd",
+  });
+  const paintOptions = { width: w, height: h, outline: palette.outline, focusColor: palette.text };
+  let hovered = null;
+  const paint = () => paintScene(canvas, scene, { ...paintOptions, hovered });
+  paint();
+  // Exports turn the painted chart back into an SVG
+  canvas.__toSvg = () => sceneToSvg(scene, paintOptions);
+  // Marks the cell of countries hovered in another chart, like a hovered cell
+  canvas.__showLinked = (names) => {
+    const cell = names && scene.cells.find((c) => namesOf(c.node.data).some((n) => names.includes(n)));
+    hovered = cell ? { cell } : null;
+    paint();
+  };
+
+  // Page position of a point in chart coordinates, and the other way round
+  const toPage = ([x, y]) => {
+    const rect = canvas.getBoundingClientRect();
+    return [rect.left + window.scrollX + (x * rect.width) / w, rect.top + window.scrollY + (y * rect.height) / h];
+  };
+  const toChart = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return [((event.clientX - rect.left) * w) / (rect.width || w), ((event.clientY - rect.top) * h) / (rect.height || h)];
+  };
+  const groupDepth = focus?.others ? null : (focus?.path.length ?? 0) + 1;
+  const tooltipHtml = (hit) =>
+    hit.group
+      ? groupHtml(hit.group.data)
+      : hit.component
+      ? componentHtml(hit.cell.node, hit.component.node)
+      : hit.cell.style.html;
+
+  d3.select(canvas)
+    .on("mousemove", (event) => {
+      const hit = hitTest(scene, ...toChart(event), { groupDepth });
+      const same =
+        hit?.group === hovered?.group && hit?.cell === hovered?.cell && hit?.component === hovered?.component;
+      if (!same) {
+        if (hit?.cell !== hovered?.cell) onHover(hit?.cell ? namesOf(hit.cell.node.data) : null);
+        hovered = hit;
+        paint();
+      }
+      canvas.style.cursor = !hit ? "default" : hit.group || hit.cell.node.data.isOthers ? "zoom-in" : "pointer";
+      tooltip
+        .html(hit ? tooltipHtml(hit) : "")
+        .style("opacity", hit ? 1 : 0)
+        .style("left", event.pageX + 10 + "px")
+        .style("top", event.pageY + 10 + "px");
+    })
+    .on("mouseleave", () => {
+      hovered = null;
+      paint();
+      tooltip.style("opacity", 0);
+      onHover(null);
+    })
+    .on("click", (event) => {
+      const hit = hitTest(scene, ...toChart(event), { groupDepth });
+      if (!hit) return;
+      tooltip.style("opacity", 0);
+      const country = hit.cell?.node.data;
+      if (hit.group) onFocus({ path: hit.group.data.path });
+      else if (country.isOthers) onFocus({ path: country.groupPath, others: true });
+      else onSelect(country.name);
+    });
+
+  // A new search result shows its tooltip next to the cell
+  if (!highlight) canvas.__highlightId = null;
+  const highlighted = scene.cells.find((c) => c.style.isHighlighted);
+  if (highlighted && canvas.__highlightId !== highlight.id) {
+    canvas.__highlightId = highlight.id;
+    const [x, y] = toPage(d3.polygonCentroid(highlighted.node.polygon));
+    tooltip
+      .html(highlighted.style.html)
+      .style("opacity", 1)
+      .style("left", `${x + 10}px`)
+      .style("top", `${y}px`);
+  }
+}
@@ -0,0 +1,63 @@
+/*
+
+Maps any numeric column onto fill color, border color or opacity. Breaks are
+computed from the selected year's values of every country, so a color means
+the same thing whatever the filters or drill-down show.
+
+*/
+
+import * as d3 from "d3";
+
+export const SCHEMES = {
+  sequential: { label: "Sequential", interpolator: d3.interpolateYlGnBu, steps: d3.schemeYlGnBu },
+  diverging: { label: "Diverging", interpolator: d3.interpolateRdYlBu, steps: d3.schemeRdYlBu },
+};
+
+const QUANTILES = 5;
+
+// Returns null when no country has a value, so callers can fall back to gray
+export function encodingScale(values, { scheme = "sequential", breaks = "linear" } = {}) {
+  const sorted = values.filter((v) => v !== null && Number.isFinite(v)).sort(d3.ascending);
+  if (!sorted.length) return null;
+  const { interpolator, steps } = SCHEMES[scheme];
+
+  if (breaks === "quantile") {
+    return d3.scaleQuantile(sorted, steps[QUANTILES]);
+  }
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (scheme === "diverging") {
+    // Centered on zero when values have both signs, on the median otherwise
+    const mid = min < 0 && max > 0 ? 0 : d3.median(sorted);
+    return d3.scaleDiverging([min, mid, max], interpolator).clamp(true);
+  }
+  return d3.scaleSequential([min, max], interpolator).clamp(true);
+}
+
+// Legend swatches as { label: color }, matching the legend's color list
+export function encodingLegend(scale, format) {
+  if (!scale) return { "No data": "#ccc" };
+  const entries = {};
+  if (scale.quantiles) {
+    scale.range().forEach((color) => {
+      const [from, to] = scale.invertExtent(color);
+      entries[`${format(from)} – ${format(to)}`] = color;
+    });
+  } else {
+    const domain = scale.domain();
+    const [min, max] = [domain[0], domain[domain.length - 1]];
+    d3.range(5).forEach((i) => {
+      const v = min + ((max - min) * i) / 4;
+      entries[format(v)] = scale(v);
+    });
+  }
+  entries["No data"] = "#ccc";
+  return entries;
+}
+
+// Higher values are more transparent, from solid down to 0.3
+export function opacityScale(values) {
+  const extent = d3.extent(values.filter((v) => v !== null && Number.isFinite(v)));
+  if (extent[0] === undefined) return () => 1;
+  return d3.scaleLinear(extent, [1, 0.3]).clamp(true);
+}
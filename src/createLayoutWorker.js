@@ -0,0 +1,11 @@
+/*
+
+Starts the layout worker. This lives in its own module, loaded only where
+workers exist: the bundler turns the URL below into a separate worker script,
+and test runners can't parse import.meta.
+
+*/
+
+export default function createLayoutWorker() {
+  return new Worker(new URL("./layout.worker.js", import.meta.url));
+}
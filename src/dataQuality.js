@@ -0,0 +1,140 @@
+/*
+
+Schema check and missing-value report for a parsed CSV. The app loads whatever
+?src= points to, so this decides whether a file can be drawn at all and what
+is missing from it.
+
+*/
+
+import * as d3 from "d3";
+
+// Without these the treemap can't be built
+export const REQUIRED_COLUMNS = ["Country Name", "Year", "GDP", "Continent Name"];
+
+// Used by tooltips, opacity, borders, size and makeup mode, or offered to the
+// encodings and the scatter plot; the chart still renders without them
+export const OPTIONAL_COLUMNS = [
+  "Country Code",
+  "GDP Per Capita",
+  "Inflation Rate",
+  "Unemployment",
+  "Agriculture (% GDP)",
+  "Industry (% GDP)",
+  "Service (% GDP)",
+  "Export (% GDP)",
+  "Import (% GDP)",
+  "Population",
+  "Land",
+  "Export",
+  "Import",
+  "Net Trade",
+  "Education Expenditure",
+  "Health Expenditure",
+  "Education Expenditure (% GDP)",
+  "Health Expenditure (% GDP)",
+  "R&D",
+  "Ease of Doing Business",
+  "Population Density",
+];
+
+export function isMissing(value) {
+  return value === null || value === undefined || value === "" || (typeof value === "number" && isNaN(value));
+}
+
+// A value as a number; null when blank or not numeric
+export function toNumber(value) {
+  return isMissing(value) || !Number.isFinite(Number(value)) ? null : Number(value);
+}
+
+// A row's column as a number; null when there's no row, or as toNumber
+export function fieldValue(row, column) {
+  return toNumber(row?.[column]);
+}
+
+// Countries listed under two continents (e.g. Russia in Europe and Asia) have
+// one row per continent and year. Counts, totals and rankings take the first
+export function oncePerCountry(rows) {
+  const seen = new Set();
+  return rows.filter((r) => {
+    const key = `${r["Country Name"]}|${r.Year}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Columns other than names, codes and years that hold a number somewhere
+export function numericColumns(rows) {
+  const columns = new Set();
+  rows.forEach((r) => Object.keys(r).forEach((k) => columns.add(k)));
+  return [...columns].filter(
+    (c) =>
+      !["Country Name", "Country Code", "Continent Name", "Year"].includes(c) &&
+      rows.some((r) => !isMissing(r[c]) && Number.isFinite(Number(r[c])))
+  );
+}
+
+// Counts of missing cells per key, largest first, leaving out keys with none
+function missingBy(rows, columns, keyOf) {
+  return d3
+    .rollups(
+      rows,
+      (group) => d3.sum(group, (r) => columns.filter((c) => isMissing(r[c])).length),
+      keyOf
+    )
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1]);
+}
+
+export function validateData(rows, fields, parseErrors = []) {
+  const missingRequired = REQUIRED_COLUMNS.filter((c) => !fields.includes(c));
+  const missingOptional = OPTIONAL_COLUMNS.filter((c) => !fields.includes(c));
+  const problems = [];
+
+  if (missingRequired.length) {
+    problems.push(`Missing required column(s): ${missingRequired.join(", ")}.`);
+  }
+
+  const usable = rows.filter(
+    (r) => !isMissing(r["Country Name"]) && !isNaN(Number(r.Year)) && Number(r.GDP) > 0
+  );
+  if (!rows.length) {
+    problems.push("The file contains no data rows.");
+  } else if (!missingRequired.length && !usable.length) {
+    problems.push("No row has a country name, a numeric year and a positive GDP.");
+  }
+
+  const checked = fields.filter((c) => REQUIRED_COLUMNS.includes(c) || OPTIONAL_COLUMNS.includes(c));
+
+  const missingByColumn = checked
+    .map((c) => [c, rows.filter((r) => isMissing(r[c])).length])
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1]);
+
+  // Repeats within a continent; one row per continent is expected (see oncePerCountry)
+  const duplicates = d3
+    .rollups(
+      rows.filter((r) => !isMissing(r["Country Name"])),
+      (group) => group.length,
+      (r) => r["Country Name"],
+      (r) => r["Continent Name"],
+      (r) => r.Year
+    )
+    .flatMap(([country, continents]) =>
+      continents.flatMap(([, years]) =>
+        years.filter(([, count]) => count > 1).map(([year, count]) => ({ country, year, count }))
+      )
+    );
+
+  return {
+    renderable: problems.length === 0,
+    problems,
+    missingOptional,
+    rowCount: rows.length,
+    parseErrors: parseErrors.length,
+    missingByColumn,
+    missingByCountry: missingBy(rows, checked, (r) => r["Country Name"] ?? "(no name)"),
+    missingByYear: missingBy(rows, checked, (r) => r.Year ?? "(no year)").sort((a, b) => a[0] - b[0]),
+    duplicates,
+  };
+}
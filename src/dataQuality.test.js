@@ -0,0 +1,83 @@
+import { validateData, toNumber, fieldValue, oncePerCountry, numericColumns, REQUIRED_COLUMNS } from "./dataQuality";
+
+const row = (name, continent, year, values = {}) => ({
+  "Country Name": name,
+  "Continent Name": continent,
+  Year: year,
+  GDP: 100,
+  ...values,
+});
+
+test("a file with the required columns and a usable row can be drawn", () => {
+  const report = validateData([row("France", "Europe", 2000)], REQUIRED_COLUMNS);
+  expect(report.renderable).toBe(true);
+  expect(report.problems).toEqual([]);
+  expect(report.missingOptional).toContain("Inflation Rate");
+});
+
+test("missing required columns and unusable rows are problems", () => {
+  const missing = validateData([{ Country: "France", Year: 2000 }], ["Country", "Year"]);
+  expect(missing.renderable).toBe(false);
+  expect(missing.problems).toEqual(["Missing required column(s): Country Name, GDP, Continent Name."]);
+
+  const unusable = validateData([row("France", "Europe", 2000, { GDP: "" })], REQUIRED_COLUMNS);
+  expect(unusable.problems).toEqual(["No row has a country name, a numeric year and a positive GDP."]);
+
+  expect(validateData([], REQUIRED_COLUMNS).problems).toEqual(["The file contains no data rows."]);
+});
+
+test("missing values are counted per column, country and year", () => {
+  const fields = [...REQUIRED_COLUMNS, "Inflation Rate", "Unemployment", "Not checked"];
+  const rows = [
+    row("France", "Europe", 2000, { "Inflation Rate": "", Unemployment: 9, "Not checked": "" }),
+    row("France", "Europe", 2001, { "Inflation Rate": null, Unemployment: "" }),
+    row("Chad", "Africa", 2000, { "Inflation Rate": NaN, Unemployment: 5 }),
+    row("Chad", "Africa", 2001, { "Inflation Rate": 3, Unemployment: 5 }),
+  ];
+  const report = validateData(rows, fields);
+  expect(report.missingByColumn).toEqual([
+    ["Inflation Rate", 3],
+    ["Unemployment", 1],
+  ]);
+  expect(report.missingByCountry).toEqual([
+    ["France", 3],
+    ["Chad", 1],
+  ]);
+  expect(report.missingByYear).toEqual([
+    [2000, 2],
+    [2001, 2],
+  ]);
+});
+
+test("repeated country-year rows are duplicates, unless they're under different continents", () => {
+  const rows = [
+    row("Russia", "Europe", 2000),
+    row("Russia", "Asia", 2000),
+    row("France", "Europe", 2000),
+    row("France", "Europe", 2000),
+    row("France", "Europe", 2000),
+    row("France", "Europe", 2001),
+  ];
+  expect(validateData(rows, REQUIRED_COLUMNS).duplicates).toEqual([{ country: "France", year: 2000, count: 3 }]);
+});
+
+test("values are numbers, or null when blank or not numeric", () => {
+  expect(toNumber("3.5")).toBe(3.5);
+  expect(toNumber(0)).toBe(0);
+  [null, undefined, "", NaN, "n/a", Infinity].forEach((value) => expect(toNumber(value)).toBeNull());
+  expect(fieldValue({ GDP: "12" }, "GDP")).toBe(12);
+  expect(fieldValue(null, "GDP")).toBeNull();
+});
+
+test("countries under two continents are taken once per year", () => {
+  const rows = [row("Russia", "Europe", 2000), row("Russia", "Asia", 2000), row("Russia", "Europe", 2001)];
+  expect(oncePerCountry(rows)).toEqual([rows[0], rows[2]]);
+});
+
+test("numeric columns leave out names, codes and years", () => {
+  const rows = [
+    row("France", "Europe", 2000, { "Country Code": "FRA", Notes: "text", Land: "" }),
+    row("Chad", "Africa", 2000, { Land: "1284000" }),
+  ];
+  expect(numericColumns(rows)).toEqual(["GDP", "Land"]);
+});
@@ -0,0 +1,149 @@
+/*
+
+Helpers for exporting the rendered treemap: a standalone SVG (legend included),
+a PNG rasterized from that SVG, and a CSV of the nodes behind the view.
+
+*/
+
+import * as d3 from "d3";
+import Papa from "papaparse";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const LEGEND_ITEM_WIDTH = 190;
+const LEGEND_ROW_HEIGHT = 22;
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Copies the chart and appends the legend below it, so the file stands on its own
+export function buildStandaloneSvg(svgNode, { title, summary, colors, background = "#fff", textColor = "#111" }) {
+  const clone = svgNode.cloneNode(true);
+  const [, , w, h] = clone.getAttribute("viewBox").split(" ").map(Number);
+
+  const perRow = Math.max(1, Math.floor((w - 40) / LEGEND_ITEM_WIDTH));
+  const colorEntries = Object.entries(colors);
+  const legendHeight =
+    60 + summary.length * LEGEND_ROW_HEIGHT + Math.ceil(colorEntries.length / perRow) * LEGEND_ROW_HEIGHT;
+  const height = h + legendHeight;
+
+  const svg = d3
+    .select(clone)
+    .attr("xmlns", SVG_NS)
+    .attr("class", null)
+    .attr("width", w)
+    .attr("height", height)
+    .attr("viewBox", `0 0 ${w} ${height}`)
+    .attr("font-family", window.getComputedStyle(document.body).fontFamily);
+
+  svg.insert("rect", ":first-child").attr("width", w).attr("height", height).attr("fill", background);
+
+  const legend = svg
+    .append("g")
+    .attr("class", "legend")
+    .attr("fill", textColor)
+    .attr("transform", `translate(20, ${h + 30})`);
+
+  legend.append("text").style("font-size", "16px").style("font-weight", "700").text(title);
+
+  summary.forEach(([label, text], i) => {
+    legend
+      .append("text")
+      .attr("y", 26 + i * LEGEND_ROW_HEIGHT)
+      .style("font-size", "13px")
+      .text(`${label}: ${text}`);
+  });
+
+  const swatchTop = 26 + summary.length * LEGEND_ROW_HEIGHT;
+  colorEntries.forEach(([label, color], i) => {
+    const g = legend
+      .append("g")
+      .attr(
+        "transform",
+        `translate(${(i % perRow) * LEGEND_ITEM_WIDTH}, ${swatchTop + Math.floor(i / perRow) * LEGEND_ROW_HEIGHT})`
+      );
+    g.append("rect").attr("width", 14).attr("height", 14).attr("rx", 3).attr("fill", color);
+    g.append("text").attr("x", 20).attr("y", 12).style("font-size", "13px").text(label);
+  });
+
+  return {
+    markup: new XMLSerializer().serializeToString(clone),
+    width: w,
+    height,
+  };
+}
+
+export function svgToPngBlob({ markup, width, height }, scale = 1) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not load SVG for rasterizing"));
+    };
+    img.src = url;
+  });
+}
+
+// Stats on the nodes are raw numbers, null when missing
+function cell(value) {
+  if (value == null || (typeof value === "number" && isNaN(value))) return "";
+  return value;
+}
+
+// Walks the groups down to the country nodes, whatever the grouping levels
+function countryNodes(node, path = []) {
+  return (node.children || []).flatMap((c) =>
+    c.group ? countryNodes(c, [...path, c.name]) : [{ c, path }]
+  );
+}
+
+// One row per country node, including the aggregated Others nodes
+export function hierarchyToCsv(hierarchy, { year, sizeLabel }) {
+  const rows = [];
+  countryNodes(hierarchy).forEach(({ c, path }) => {
+    rows.push({
+      Year: year,
+      Group: path.join(" / "),
+      Continent: c.continent,
+      Country: c.name,
+      "Is Others": c.isOthers ? "yes" : "no",
+      "Countries Aggregated": c.isOthers ? c.count : 1,
+      [`Size (${sizeLabel})`]: cell(c.sizeValue),
+      GDP: cell(c.gdp),
+      "GDP Per Capita": cell(c.gpdpercapita),
+      "Agriculture (% GDP)": cell(c.agriculture),
+      "Industry (% GDP)": cell(c.industry),
+      "Service (% GDP)": cell(c.service),
+      "Export (% GDP)": cell(c.export),
+      "Import (% GDP)": cell(c.import),
+      "Education Expenditure": cell(c.education),
+      "Health Expenditure": cell(c.health),
+      "Inflation Rate": cell(c.inflation),
+      Unemployment: cell(c.unemployment),
+      ...(c.comparison && {
+        [`GDP ${c.comparison.fromYear}`]: cell(c.comparison.from),
+        [`GDP ${c.comparison.toYear}`]: cell(c.comparison.to),
+        "GDP Growth (%)": cell(c.comparison.growth),
+      }),
+    });
+  });
+  return Papa.unparse(rows);
+}
@@ -0,0 +1,57 @@
+/*
+
+Number formatting shared by every tooltip, label, legend and table. Large
+values get a T/B/M/K suffix picked from their size, and separators follow the
+browser's locale. Missing values (blank or not a number) read "N/A".
+
+*/
+
+import { toNumber } from "./dataQuality";
+
+const formatters = new Map();
+
+// Intl formatters are slow to build, so each set of options is built once
+function formatter(options) {
+  const key = JSON.stringify(options);
+  if (!formatters.has(key)) formatters.set(key, new Intl.NumberFormat(undefined, options));
+  return formatters.get(key);
+}
+
+export const NOT_AVAILABLE = "N/A";
+
+// 1234567 -> "1.23M"; small values keep up to `digits` decimals
+export function formatNumber(value, { compact = true, digits = 2 } = {}) {
+  if (toNumber(value) === null) return NOT_AVAILABLE;
+  const v = Number(value);
+  if (compact && Math.abs(v) >= 1000) {
+    return formatter({ notation: "compact", maximumSignificantDigits: 3 }).format(v);
+  }
+  return formatter({ maximumFractionDigits: digits }).format(v);
+}
+
+// US dollars: 18206020741000 -> "$18.2T"; compact: false gives "$56,763"
+export function formatCurrency(value, { compact = true } = {}) {
+  if (toNumber(value) === null) return NOT_AVAILABLE;
+  const v = Number(value);
+  if (compact && Math.abs(v) >= 1000) {
+    return formatter({ style: "currency", currency: "USD", notation: "compact", maximumSignificantDigits: 3 }).format(v);
+  }
+  return formatter({ style: "currency", currency: "USD", maximumFractionDigits: 0 }).format(v);
+}
+
+// Values already in percent: 3.456 -> "3.5%"; signed adds "+" to gains
+export function formatPercent(value, { digits = 1, signed = false } = {}) {
+  if (toNumber(value) === null) return NOT_AVAILABLE;
+  return formatter({
+    style: "percent",
+    maximumFractionDigits: digits,
+    signDisplay: signed ? "exceptZero" : "auto",
+  }).format(Number(value) / 100);
+}
+
+// Differences between two percentages: 1.23 -> "+1.2 pp"
+export function formatPoints(value, { digits = 1 } = {}) {
+  if (toNumber(value) === null) return NOT_AVAILABLE;
+  const v = formatter({ maximumFractionDigits: digits, signDisplay: "exceptZero" }).format(Number(value));
+  return `${v} pp`;
+}
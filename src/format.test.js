@@ -0,0 +1,60 @@
+const NumberFormat = Intl.NumberFormat;
+
+afterEach(() => jest.restoreAllMocks());
+
+// format.js in the given locale in place of the browser's
+function loadFormat(locale) {
+  jest.spyOn(Intl, "NumberFormat").mockImplementation((_, options) => new NumberFormat(locale, options));
+  let format;
+  // Formatters are cached per module, so each locale gets its own copy
+  jest.isolateModules(() => {
+    format = require("./format");
+  });
+  return format;
+}
+
+test("numbers are abbreviated by size", () => {
+  const { formatNumber } = loadFormat("en-US");
+  expect(formatNumber(1234567)).toBe("1.23M");
+  expect(formatNumber(1380000000)).toBe("1.38B");
+  expect(formatNumber(999.456)).toBe("999.46");
+  expect(formatNumber(0.1234, { digits: 1 })).toBe("0.1");
+  expect(formatNumber(1234567, { compact: false })).toBe("1,234,567");
+});
+
+test("dollar amounts are abbreviated, or whole dollars when not compact", () => {
+  const { formatCurrency } = loadFormat("en-US");
+  expect(formatCurrency(18206020741000)).toBe("$18.2T");
+  expect(formatCurrency(845e9)).toBe("$845B");
+  expect(formatCurrency(-2.5e9)).toBe("-$2.5B");
+  expect(formatCurrency(56763.4, { compact: false })).toBe("$56,763");
+});
+
+test("percentages are of values already in percent", () => {
+  const { formatPercent, formatPoints } = loadFormat("en-US");
+  expect(formatPercent(3.456)).toBe("3.5%");
+  expect(formatPercent(12.3456, { digits: 2 })).toBe("12.35%");
+  expect(formatPercent(2.34, { signed: true })).toBe("+2.3%");
+  expect(formatPercent(-2.34, { signed: true })).toBe("-2.3%");
+  expect(formatPercent(0, { signed: true })).toBe("0%");
+  expect(formatPoints(1.23)).toBe("+1.2 pp");
+  expect(formatPoints(-0.5)).toBe("-0.5 pp");
+});
+
+test("missing values read N/A", () => {
+  const { formatNumber, formatCurrency, formatPercent, formatPoints, NOT_AVAILABLE } = loadFormat("en-US");
+  [null, undefined, "", NaN, "abc", Infinity].forEach((value) => {
+    expect(formatNumber(value)).toBe(NOT_AVAILABLE);
+    expect(formatCurrency(value)).toBe(NOT_AVAILABLE);
+    expect(formatPercent(value)).toBe(NOT_AVAILABLE);
+    expect(formatPoints(value)).toBe(NOT_AVAILABLE);
+  });
+  expect(formatNumber(0)).toBe("0");
+  expect(formatNumber("42")).toBe("42");
+});
+
+test("separators follow the locale", () => {
+  const { formatNumber, formatPercent } = loadFormat("de-DE");
+  expect(formatNumber(1234.5, { compact: false })).toBe("1.234,5");
+  expect(formatPercent(3.456)).toBe("3,5\u00a0%");
+});
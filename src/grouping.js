@@ -0,0 +1,104 @@
+/*
+
+Levels the treemap can group countries by, from the outside in: continent,
+income bracket (from GDP per capita), trade balance sign (from Net Trade), or
+regions from a mapping file the user loads (kept in localStorage). Any number
+of levels can be nested, and no level at all puts every country directly in
+the world.
+
+*/
+
+import { isMissing } from "./dataQuality";
+
+// World Bank income thresholds (FY2025, GNI per capita in US$), applied to
+// GDP per capita as an approximation
+const INCOME_BRACKETS = [
+  [1145, "Low income"],
+  [4515, "Lower-middle income"],
+  [14005, "Upper-middle income"],
+  [Infinity, "High income"],
+];
+
+function incomeBracket(row) {
+  if (isMissing(row["GDP Per Capita"])) return "Income unknown";
+  const v = Number(row["GDP Per Capita"]);
+  return INCOME_BRACKETS.find(([max]) => v <= max)[1];
+}
+
+function tradeBalance(row) {
+  if (isMissing(row["Net Trade"])) return "Trade balance unknown";
+  const v = Number(row["Net Trade"]);
+  return v > 0 ? "Trade surplus" : v < 0 ? "Trade deficit" : "Balanced trade";
+}
+
+export const GROUPINGS = {
+  continent: { label: "Continent", groupOf: (row) => row["Continent Name"] || "Unknown" },
+  income: { label: "Income bracket", groupOf: incomeBracket },
+  trade: { label: "Trade balance", groupOf: tradeBalance },
+  region: { label: "Region (from file)", needsRegions: true },
+};
+
+// Border width of each level's outlines, outermost first
+const BORDER_WIDTHS = [3, 2, 1];
+
+export function groupBorderWidth(depth) {
+  return BORDER_WIDTHS[Math.min(depth, BORDER_WIDTHS.length) - 1];
+}
+
+// Region mapping file rows -> Map of lowercase country name or code -> region.
+// The country column may hold names or ISO codes; without a "Region" header
+// the second column is used
+export function regionMapping(records, fields) {
+  const find = (...names) => fields.find((f) => names.includes(f.trim().toLowerCase()));
+  const countryField = find("country name", "country", "country code", "iso3", "iso", "code", "name") || fields[0];
+  const regionField = find("region", "group", "region name") || fields.find((f) => f !== countryField);
+  if (!countryField || !regionField) return new Map();
+  return new Map(
+    records
+      .filter((r) => !isMissing(r[countryField]) && !isMissing(r[regionField]))
+      .map((r) => [String(r[countryField]).trim().toLowerCase(), String(r[regionField]).trim()])
+  );
+}
+
+// The chosen levels as { key, label, groupOf }; region levels are skipped
+// until a mapping is loaded
+export function groupingLevels(keys, regions = null) {
+  return keys
+    .filter((key) => GROUPINGS[key] && (!GROUPINGS[key].needsRegions || regions?.size))
+    .map((key) => ({
+      key,
+      label: GROUPINGS[key].label,
+      groupOf:
+        key === "region"
+          ? (row) =>
+              regions.get(String(row["Country Code"] ?? "").toLowerCase()) ||
+              regions.get(String(row["Country Name"] ?? "").toLowerCase()) ||
+              "Unmapped"
+          : GROUPINGS[key].groupOf,
+    }));
+}
+
+const STORAGE_KEY = "regionMapping";
+
+// The last loaded mapping file, as { name, map }, or null
+export function savedRegionMapping() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "null");
+    return saved ? { name: saved.name, map: new Map(saved.entries) } : null;
+  } catch (err) {
+    console.error("Region mapping read error:", err);
+    return null;
+  }
+}
+
+export function saveRegionMapping(regions) {
+  try {
+    if (regions) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ name: regions.name, entries: [...regions.map] }));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (err) {
+    console.error("Region mapping save error:", err);
+  }
+}
@@ -0,0 +1,18 @@
+/*
+
+Runs computeLayout off the main thread. Messages carry an id, which the reply
+echoes, so the caller can match replies to requests. A layout that fails
+replies with its error instead, and the worker carries on with the next one.
+
+*/
+
+import { computeLayout } from "./voronoiLayout";
+
+globalThis.addEventListener("message", ({ data }) => {
+  const { id, tree, width, height, previousSites } = data;
+  try {
+    globalThis.postMessage({ id, layout: computeLayout(tree, { width, height, previousSites }) });
+  } catch (err) {
+    globalThis.postMessage({ id, error: err?.message || String(err) });
+  }
+});
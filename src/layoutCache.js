@@ -0,0 +1,136 @@
+/*
+
+Treemap layouts, computed in a Web Worker and cached by tree and chart size.
+Going back to a year, filter set or chart size reuses the cells it had before,
+and changes that only restyle the chart (opacity, colors, display mode) never
+recompute the layout. Without workers (tests, old browsers) layouts run on the
+main thread.
+
+*/
+
+import { computeLayout } from "./voronoiLayout";
+
+const MAX_ENTRIES = 200;
+
+const cache = new Map(); // key -> { polygons, sites }, least recently used first
+const queue = []; // requests waiting for the worker, oldest first
+let busy = false;
+let workerPromise = null;
+let nextId = 0;
+
+// The tree reduced to what the layout reads: names, sizes and nesting
+export function layoutTree(node) {
+  return {
+    name: node.name,
+    value: node.value || 0,
+    ...(node.children && { children: node.children.map(layoutTree) }),
+  };
+}
+
+// Every node's path and size, so any change to year, filters, size metric or
+// drill-down gives a new key
+function layoutKey(tree, width, height) {
+  const parts = [];
+  (function walk(node, path) {
+    parts.push(`${path}=${node.value}`);
+    (node.children || []).forEach((c) => walk(c, `${path}/${c.name}`));
+  })(tree, "");
+  return `${width}x${height}|${parts.join(";")}`;
+}
+
+function remember(key, layout) {
+  cache.delete(key);
+  cache.set(key, layout);
+  if (cache.size > MAX_ENTRIES) cache.delete(cache.keys().next().value);
+}
+
+// Resolves to the worker, or to null where workers aren't available
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise =
+      typeof Worker === "undefined"
+        ? Promise.resolve(null)
+        : import("./createLayoutWorker").then((m) => m.default()).catch(() => null);
+  }
+  return workerPromise;
+}
+
+// Thrown for layouts the worker couldn't compute, as opposed to the worker failing
+class LayoutError extends Error {}
+
+function inWorker(worker, { tree, width, height, previousSites }) {
+  return new Promise((resolve, reject) => {
+    const id = ++nextId;
+    function onMessage({ data }) {
+      if (data.id !== id) return;
+      done();
+      if (data.error) reject(new LayoutError(data.error));
+      else resolve(data.layout);
+    }
+    function onError(event) {
+      done();
+      reject(event);
+    }
+    function done() {
+      worker.removeEventListener("message", onMessage);
+      worker.removeEventListener("error", onError);
+    }
+    worker.addEventListener("message", onMessage);
+    worker.addEventListener("error", onError);
+    worker.postMessage({ id, tree, width, height, previousSites });
+  });
+}
+
+// One layout at a time; requests cancelled while waiting are skipped
+function runQueue() {
+  if (busy) return;
+  while (queue.length && queue[0].signal?.aborted) queue.shift().reject(new Error("Layout request aborted"));
+  const job = queue.shift();
+  if (!job) return;
+  if (cache.has(job.key)) {
+    job.resolve(cache.get(job.key));
+    runQueue();
+    return;
+  }
+
+  busy = true;
+  getWorker()
+    .then((worker) =>
+      worker
+        ? inWorker(worker, job).catch((err) => {
+            // Data the layout can't handle fails just this request
+            if (err instanceof LayoutError) throw err;
+            // A worker that fails once (e.g. a blocked script) is not used again
+            console.error("Layout worker error, falling back to the main thread:", err);
+            workerPromise = Promise.resolve(null);
+            return computeLayout(job.tree, job);
+          })
+        : computeLayout(job.tree, job)
+    )
+    .then(
+      (layout) => {
+        remember(job.key, layout);
+        job.resolve(layout);
+      },
+      job.reject
+    )
+    .finally(() => {
+      busy = false;
+      runQueue();
+    });
+}
+
+// Resolves to { polygons, sites }, both Maps keyed by nodeKey. previousSites
+// seeds a new layout; cached layouts come back as they were, so cells stay put
+export function requestLayout(tree, { width, height, previousSites = new Map(), signal }) {
+  const key = layoutKey(tree, width, height);
+  if (cache.has(key)) {
+    const layout = cache.get(key);
+    remember(key, layout);
+    return Promise.resolve(layout);
+  }
+  return new Promise((resolve, reject) => {
+    queue.push({ key, tree, width, height, previousSites, signal, resolve, reject });
+    runQueue();
+  });
+}
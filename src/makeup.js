@@ -0,0 +1,96 @@
+/*
+
+Breakdowns of a country's cell in "GDP makeup" mode. Production sectors and
+trade flows measure different things, so each gets its own view: the sectors
+with an explicit remainder, exports against imports, and education and health
+spending against the rest of GDP. Components always add up to the whole cell,
+and a country missing any of a view's columns is drawn undivided.
+
+*/
+
+import { fieldValue } from "./dataQuality";
+import { formatPercent } from "./format";
+
+// Spending as % of GDP, derived from the US$ column when the share is blank
+function spendingShare(record, column) {
+  const share = fieldValue(record, `${column} (% GDP)`);
+  if (share !== null) return share;
+  const value = fieldValue(record, column);
+  const gdp = fieldValue(record, "GDP");
+  return value !== null && gdp > 0 ? (value / gdp) * 100 : null;
+}
+
+// Shares of GDP topped up to 100% by the remainder. Shares adding up to more
+// than 100% (rounding, re-exports) are scaled down and leave no remainder
+function sharesOfGdp(percents, remainderKey) {
+  if (percents.some(([, percent]) => percent === null)) return null;
+  const total = percents.reduce((sum, [, percent]) => sum + Math.max(percent, 0), 0);
+  if (total <= 0) return null;
+  const scale = total > 100 ? 100 / total : 1;
+  return {
+    parts: [
+      ...percents.map(([key, percent]) => ({ key, percent, weight: Math.max(percent, 0) * scale })),
+      { key: remainderKey, percent: Math.max(100 - total, 0), weight: Math.max(100 - total, 0) },
+    ],
+  };
+}
+
+export const MAKEUP_VIEWS = {
+  sector: {
+    label: "Production sectors",
+    note: "Value added by sector as a share of GDP; 'Other' is what the sectors don't cover (taxes less subsidies, statistical gaps)",
+    components: {
+      "Agriculture (% GDP)": "Agriculture",
+      "Industry (% GDP)": "Industry",
+      "Service (% GDP)": "Services",
+      Other: "Other",
+    },
+    breakdown: (r) =>
+      sharesOfGdp(
+        ["Agriculture (% GDP)", "Industry (% GDP)", "Service (% GDP)"].map((c) => [c, fieldValue(r, c)]),
+        "Other"
+      ),
+  },
+  trade: {
+    label: "Trade",
+    note: "Exports against imports, split by their share of total trade; tooltips give each as a share of GDP and the net trade",
+    components: {
+      "Export (% GDP)": "Exports",
+      "Import (% GDP)": "Imports",
+    },
+    breakdown: (r) => {
+      const exports = fieldValue(r, "Export (% GDP)");
+      const imports = fieldValue(r, "Import (% GDP)");
+      if (exports === null || imports === null || exports + imports <= 0) return null;
+      const total = exports + imports;
+      return {
+        parts: [
+          { key: "Export (% GDP)", percent: exports, weight: (exports / total) * 100 },
+          { key: "Import (% GDP)", percent: imports, weight: (imports / total) * 100 },
+        ],
+        note: `Net trade: ${formatPercent(exports - imports, { signed: true })} of GDP`,
+      };
+    },
+  },
+  spending: {
+    label: "Public spending",
+    note: "Education and health expenditure as a share of GDP, and the rest of GDP",
+    components: {
+      "Education Expenditure (% GDP)": "Education",
+      "Health Expenditure (% GDP)": "Health",
+      "Rest of GDP": "Rest of GDP",
+    },
+    breakdown: (r) =>
+      sharesOfGdp(
+        ["Education Expenditure", "Health Expenditure"].map((c) => [`${c} (% GDP)`, spendingShare(r, c)]),
+        "Rest of GDP"
+      ),
+  },
+};
+
+// Legend entries of a view: component label -> palette color
+export function makeupLegend(view, palette) {
+  return Object.fromEntries(
+    Object.entries(MAKEUP_VIEWS[view].components).map(([key, label]) => [label, palette.components[key] || "#ddd"])
+  );
+}
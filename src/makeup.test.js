@@ -0,0 +1,81 @@
+import { MAKEUP_VIEWS, makeupLegend } from "./makeup";
+
+const weights = (breakdown) => Object.fromEntries(breakdown.parts.map((p) => [p.key, p.weight]));
+const total = (breakdown) => breakdown.parts.reduce((sum, p) => sum + p.weight, 0);
+
+describe("production sectors", () => {
+  const { breakdown } = MAKEUP_VIEWS.sector;
+
+  test("the remainder tops the sectors up to 100%", () => {
+    const parts = breakdown({ "Agriculture (% GDP)": 2, "Industry (% GDP)": 20, "Service (% GDP)": "70" });
+    expect(weights(parts)).toEqual({ "Agriculture (% GDP)": 2, "Industry (% GDP)": 20, "Service (% GDP)": 70, Other: 8 });
+  });
+
+  test("sectors adding up to more than 100% are scaled down and leave no remainder", () => {
+    const parts = breakdown({ "Agriculture (% GDP)": 10, "Industry (% GDP)": 40, "Service (% GDP)": 75 });
+    expect(total(parts)).toBeCloseTo(100);
+    expect(weights(parts).Other).toBe(0);
+    // The tooltips keep the shares as reported
+    expect(parts.parts[2].percent).toBe(75);
+    expect(parts.parts[2].weight).toBeCloseTo(60);
+  });
+
+  test("negative shares get no area", () => {
+    const parts = breakdown({ "Agriculture (% GDP)": -5, "Industry (% GDP)": 30, "Service (% GDP)": 60 });
+    expect(weights(parts)["Agriculture (% GDP)"]).toBe(0);
+    expect(total(parts)).toBeCloseTo(100);
+  });
+
+  test("a country missing any sector is drawn undivided", () => {
+    expect(breakdown({ "Agriculture (% GDP)": 2, "Industry (% GDP)": "", "Service (% GDP)": 70 })).toBeNull();
+  });
+});
+
+describe("trade", () => {
+  const { breakdown } = MAKEUP_VIEWS.trade;
+
+  test("exports and imports split the cell by their share of total trade", () => {
+    const parts = breakdown({ "Export (% GDP)": 30, "Import (% GDP)": 10 });
+    expect(weights(parts)).toEqual({ "Export (% GDP)": 75, "Import (% GDP)": 25 });
+    expect(parts.parts.map((p) => p.percent)).toEqual([30, 10]);
+    expect(parts.note).toMatch(/^Net trade: \+20\D.*of GDP$/);
+  });
+
+  test("no trade, or a missing column, leaves the cell undivided", () => {
+    expect(breakdown({ "Export (% GDP)": 0, "Import (% GDP)": 0 })).toBeNull();
+    expect(breakdown({ "Export (% GDP)": 30 })).toBeNull();
+  });
+});
+
+describe("public spending", () => {
+  const { breakdown } = MAKEUP_VIEWS.spending;
+
+  test("uses the shares of GDP, and the rest of GDP fills the cell", () => {
+    const parts = breakdown({ "Education Expenditure (% GDP)": 5, "Health Expenditure (% GDP)": 10 });
+    expect(weights(parts)).toEqual({
+      "Education Expenditure (% GDP)": 5,
+      "Health Expenditure (% GDP)": 10,
+      "Rest of GDP": 85,
+    });
+  });
+
+  test("derives a blank share from the US$ column and GDP", () => {
+    const parts = breakdown({
+      GDP: 1000,
+      "Education Expenditure": 40,
+      "Education Expenditure (% GDP)": "",
+      "Health Expenditure (% GDP)": 6,
+    });
+    expect(weights(parts)["Education Expenditure (% GDP)"]).toBeCloseTo(4);
+    expect(weights(parts)["Rest of GDP"]).toBeCloseTo(90);
+  });
+
+  test("a country without either figure is drawn undivided", () => {
+    expect(breakdown({ GDP: 1000, "Health Expenditure (% GDP)": 6 })).toBeNull();
+  });
+});
+
+test("the legend lists each component of a view with its palette color", () => {
+  const palette = { components: { "Export (% GDP)": "#111" } };
+  expect(makeupLegend("trade", palette)).toEqual({ Exports: "#111", Imports: "#ddd" });
+});
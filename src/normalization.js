@@ -0,0 +1,114 @@
+/*
+
+Normalizations of the size metric: nominal values, constant prices of a base
+year, per-capita values and shares of the world total. A "measure" bundles the
+chosen metric and normalization into what the chart, tooltips and tables need:
+a value per row, a label and a formatter.
+
+*/
+
+import * as d3 from "d3";
+import { fieldValue, oncePerCountry } from "./dataQuality";
+import { formatNumber, formatCurrency, formatPercent } from "./format";
+
+export const NORMALIZATIONS = {
+  nominal: { label: "Nominal" },
+  constant: { label: "Constant prices", moneyOnly: true },
+  perCapita: { label: "Per capita", excludes: ["Population"] },
+  share: { label: "Share of world" },
+};
+
+export function normalizationsFor(metric, { money }) {
+  return Object.keys(NORMALIZATIONS).filter((key) => {
+    const n = NORMALIZATIONS[key];
+    return !(n.moneyOnly && !money) && !(n.excludes || []).includes(metric);
+  });
+}
+
+// Price level of every year relative to baseYear, chained from the dataset's
+// GDP-weighted average inflation rate. Values are in US dollars, so one
+// deflator applies to all countries; a country's own rate would turn local
+// hyperinflation into dollar growth. Years without any rate count as 0%
+function priceLevels(rows, baseYear) {
+  const inflation = new Map(
+    d3.rollups(
+      rows.filter((r) => fieldValue(r, "Inflation Rate") !== null && Number(r.GDP) > 0),
+      (group) => d3.sum(group, (r) => r["Inflation Rate"] * r.GDP) / d3.sum(group, (r) => r.GDP),
+      (r) => r.Year
+    )
+  );
+  const [first, last] = d3.extent(rows, (r) => r.Year);
+  const level = new Map([[baseYear, 1]]);
+  for (let y = baseYear + 1; y <= last; y++) {
+    level.set(y, level.get(y - 1) * (1 + (inflation.get(y) ?? 0) / 100));
+  }
+  for (let y = baseYear - 1; y >= first; y--) {
+    level.set(y, level.get(y + 1) / (1 + (inflation.get(y + 1) ?? 0) / 100));
+  }
+  return level;
+}
+
+// Sum per year, each country once
+function worldTotals(rows, metric, absolute) {
+  const totals = new Map();
+  oncePerCountry(rows).forEach((r) => {
+    const v = fieldValue(r, metric);
+    if (v === null) return;
+    totals.set(r.Year, (totals.get(r.Year) || 0) + (absolute ? Math.abs(v) : v));
+  });
+  return totals;
+}
+
+export function makeMeasure(rows, metric, definition, normalization = "nominal", baseYear) {
+  const nominal = (r) => fieldValue(r, metric);
+  const base = { metric, normalization, isDefault: metric === "GDP" && normalization === "nominal" };
+
+  if (normalization === "constant") {
+    const level = priceLevels(rows, baseYear);
+    return {
+      ...base,
+      label: `${definition.label} (${baseYear} prices)`,
+      format: definition.format,
+      valueOf: (r) => {
+        const v = nominal(r);
+        const deflator = level.get(r.Year);
+        return v === null || !deflator ? null : v / deflator;
+      },
+    };
+  }
+  if (normalization === "perCapita") {
+    return {
+      ...base,
+      label: `${definition.label} per capita`,
+      format: definition.money
+        ? (v) => formatCurrency(v, { compact: false })
+        : (v) => `${formatNumber(v * (definition.perCapitaScale || 1))} ${definition.perCapitaUnit || ""}`.trim(),
+      valueOf: (r) => {
+        const v = nominal(r);
+        const population = fieldValue(r, "Population");
+        return v === null || !population ? null : v / population;
+      },
+      // Others cells get the group's total over its total population; absolute
+      // totals the magnitudes, for the area of metrics that can be negative
+      aggregate: (rs, { absolute = false } = {}) => {
+        const counted = rs.filter((r) => nominal(r) !== null && fieldValue(r, "Population"));
+        const total = d3.sum(counted, absolute ? (r) => Math.abs(nominal(r)) : nominal);
+        return counted.length ? total / d3.sum(counted, (r) => fieldValue(r, "Population")) : null;
+      },
+    };
+  }
+  if (normalization === "share") {
+    const totals = worldTotals(rows, metric, definition.absolute);
+    return {
+      ...base,
+      label: `${definition.label} (share of world)`,
+      format: (v) => formatPercent(v, { digits: 2 }),
+      valueOf: (r) => {
+        const v = nominal(r);
+        const total = totals.get(r.Year);
+        return v === null || !total ? null : (v / total) * 100;
+      },
+    };
+  }
+  return { ...base, label: definition.label, format: definition.format, valueOf: nominal };
+}
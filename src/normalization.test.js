@@ -0,0 +1,79 @@
+import { makeMeasure, normalizationsFor } from "./normalization";
+
+const gdp = { label: "GDP", money: true, format: String };
+const netTrade = { label: "Net Trade", money: true, absolute: true, format: String };
+
+const row = (name, year, values) => ({ "Country Name": name, "Continent Name": "Europe", Year: year, ...values });
+
+test("constant prices chain the GDP-weighted inflation rate from the base year", () => {
+  const rows = [
+    row("A", 2000, { GDP: 100, "Inflation Rate": 5 }),
+    // 2001: (0% * 100 + 20% * 300) / 400 = 15%
+    row("A", 2001, { GDP: 100, "Inflation Rate": 0 }),
+    row("B", 2001, { GDP: 300, "Inflation Rate": 20 }),
+    row("A", 2002, { GDP: 230, "Inflation Rate": 10 }),
+  ];
+
+  const measure = makeMeasure(rows, "GDP", gdp, "constant", 2000);
+  expect(measure.label).toBe("GDP (2000 prices)");
+  expect(measure.valueOf(rows[0])).toBeCloseTo(100);
+  expect(measure.valueOf(rows[2])).toBeCloseTo(300 / 1.15);
+  expect(measure.valueOf(rows[3])).toBeCloseTo(230 / (1.15 * 1.1));
+
+  // Years before the base year are inflated back up
+  const later = makeMeasure(rows, "GDP", gdp, "constant", 2002);
+  expect(later.valueOf(rows[3])).toBeCloseTo(230);
+  expect(later.valueOf(rows[0])).toBeCloseTo(100 * 1.1 * 1.15);
+});
+
+test("constant prices count a year without any inflation rate as 0%", () => {
+  const rows = [row("A", 2000, { GDP: 100, "Inflation Rate": 5 }), row("A", 2001, { GDP: 100, "Inflation Rate": "" })];
+  expect(makeMeasure(rows, "GDP", gdp, "constant", 2000).valueOf(rows[1])).toBeCloseTo(100);
+});
+
+test("per capita divides by population, and Others cells by their total population", () => {
+  const rows = [
+    row("A", 2000, { GDP: 1000, Population: 10 }),
+    row("B", 2000, { GDP: 3000, Population: 20 }),
+    row("C", 2000, { GDP: 500, Population: "" }),
+  ];
+  const measure = makeMeasure(rows, "GDP", gdp, "perCapita");
+  expect(measure.label).toBe("GDP per capita");
+  expect(measure.valueOf(rows[0])).toBe(100);
+  expect(measure.valueOf(rows[2])).toBeNull();
+  // C has no population, so it's left out of both totals
+  expect(measure.aggregate(rows)).toBeCloseTo(4000 / 30);
+  expect(measure.aggregate([rows[2]])).toBeNull();
+});
+
+test("per capita aggregates of metrics that can be negative total their magnitudes when asked", () => {
+  const rows = [row("A", 2000, { "Net Trade": -300, Population: 10 }), row("B", 2000, { "Net Trade": 100, Population: 10 })];
+  const measure = makeMeasure(rows, "Net Trade", netTrade, "perCapita");
+  expect(measure.aggregate(rows)).toBeCloseTo(-10);
+  expect(measure.aggregate(rows, { absolute: true })).toBeCloseTo(20);
+});
+
+test("shares of world are per year and count countries under two continents once", () => {
+  const rows = [
+    row("A", 2000, { GDP: 100 }),
+    row("Russia", 2000, { GDP: 300 }),
+    { ...row("Russia", 2000, { GDP: 300 }), "Continent Name": "Asia" },
+    row("A", 2001, { GDP: 50 }),
+  ];
+  const measure = makeMeasure(rows, "GDP", gdp, "share");
+  expect(measure.valueOf(rows[0])).toBeCloseTo(25);
+  expect(measure.valueOf(rows[2])).toBeCloseTo(75);
+  expect(measure.valueOf(rows[3])).toBeCloseTo(100);
+});
+
+test("shares of metrics that can be negative are of the world's total magnitude", () => {
+  const rows = [row("A", 2000, { "Net Trade": -300 }), row("B", 2000, { "Net Trade": 100 })];
+  const measure = makeMeasure(rows, "Net Trade", netTrade, "share");
+  expect(measure.valueOf(rows[0])).toBeCloseTo(-75);
+  expect(measure.valueOf(rows[1])).toBeCloseTo(25);
+});
+
+test("normalizations that don't apply to a metric aren't offered", () => {
+  expect(normalizationsFor("GDP", { money: true })).toEqual(["nominal", "constant", "perCapita", "share"]);
+  expect(normalizationsFor("Population", { money: false })).toEqual(["nominal", "share"]);
+});
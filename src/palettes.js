@@ -0,0 +1,151 @@
+/*
+
+Color palettes for the continent, makeup and inflation encodings. Besides the
+original colors there is a colorblind-safe set (Okabe-Ito), a grayscale set
+for print and a high-contrast set drawn on a dark background.
+
+*/
+
+import * as d3 from "d3";
+import { toNumber } from "./dataQuality";
+
+function getInflationColor(inflationRate) {
+  if (toNumber(inflationRate) === null) return "#FFFFFF";
+  if (inflationRate < 0) {
+    const intensity = Math.min(Math.abs(inflationRate) * 20, 255);
+    return `rgb(255, ${255 - intensity}, ${255 - intensity})`; // red-ish for deflation magnitude
+  } else {
+    const intensity = Math.min(inflationRate * 20, 255);
+    return `rgb(${255 - intensity}, 255, ${255 - intensity})`; // green-ish for inflation magnitude
+  }
+}
+
+// Same ramp as getInflationColor (full color at ±12.75%) between any colors
+function inflationRamp({ base, deflation, inflation, missing }) {
+  const toDeflation = d3.interpolateRgb(base, deflation);
+  const toInflation = d3.interpolateRgb(base, inflation);
+  return (rate) => {
+    if (toNumber(rate) === null) return missing;
+    const t = Math.min(Math.abs(rate) / 12.75, 1);
+    return rate < 0 ? toDeflation(t) : toInflation(t);
+  };
+}
+
+export const PALETTES = {
+  default: {
+    label: "Default",
+    continents: {
+      Africa: "#7f5539",
+      Asia: "#0015ff",
+      Europe: "#ff7d00",
+      "North America": "#073b4c",
+      "South America": "#8ac926",
+      Oceania: "#ff006d",
+    },
+    components: {
+      "Agriculture (% GDP)": "#228B22",
+      "Industry (% GDP)": "#4169E1",
+      "Service (% GDP)": "#FFD700",
+      "Export (% GDP)": "#8B008B",
+      "Import (% GDP)": "#FF4500",
+      Other: "#E0E0E0",
+      "Education Expenditure (% GDP)": "#6A5ACD",
+      "Health Expenditure (% GDP)": "#DC143C",
+      "Rest of GDP": "#E0E0E0",
+    },
+    inflation: getInflationColor,
+    inflationLegend: "Inflation (Green=+, Red=-, White=NULL)",
+    background: "#fff",
+    text: "#111",
+    outline: "rgba(0,0,0,0.08)",
+  },
+  colorblind: {
+    label: "Colorblind-safe",
+    continents: {
+      Africa: "#E69F00",
+      Asia: "#0072B2",
+      Europe: "#D55E00",
+      "North America": "#009E73",
+      "South America": "#F0E442",
+      Oceania: "#CC79A7",
+    },
+    components: {
+      "Agriculture (% GDP)": "#009E73",
+      "Industry (% GDP)": "#0072B2",
+      "Service (% GDP)": "#F0E442",
+      "Export (% GDP)": "#CC79A7",
+      "Import (% GDP)": "#D55E00",
+      Other: "#BBBBBB",
+      "Education Expenditure (% GDP)": "#56B4E9",
+      "Health Expenditure (% GDP)": "#D55E00",
+      "Rest of GDP": "#BBBBBB",
+    },
+    inflation: inflationRamp({ base: "#fff", deflation: "#0072B2", inflation: "#E69F00", missing: "#FFFFFF" }),
+    inflationLegend: "Inflation (Orange=+, Blue=-, White=NULL)",
+    background: "#fff",
+    text: "#111",
+    outline: "rgba(0,0,0,0.08)",
+  },
+  grayscale: {
+    label: "Grayscale (print)",
+    continents: {
+      Africa: "#252525",
+      Asia: "#525252",
+      Europe: "#737373",
+      "North America": "#969696",
+      "South America": "#bdbdbd",
+      Oceania: "#d9d9d9",
+    },
+    components: {
+      "Agriculture (% GDP)": "#252525",
+      "Industry (% GDP)": "#636363",
+      "Service (% GDP)": "#969696",
+      "Export (% GDP)": "#bdbdbd",
+      "Import (% GDP)": "#d9d9d9",
+      Other: "#f0f0f0",
+      "Education Expenditure (% GDP)": "#525252",
+      "Health Expenditure (% GDP)": "#969696",
+      "Rest of GDP": "#f0f0f0",
+    },
+    // Gray can't carry the sign, so deflation is drawn black
+    inflation: (rate) => (toNumber(rate) === null ? "#FFFFFF" : rate < 0 ? "#000000" : d3.interpolateGreys(0.15 + Math.min(rate / 12.75, 1) * 0.6)),
+    inflationLegend: "Inflation (darker gray = higher, Black = deflation, White=NULL)",
+    background: "#fff",
+    text: "#111",
+    outline: "rgba(0,0,0,0.15)",
+  },
+  contrast: {
+    label: "High contrast (dark)",
+    dark: true,
+    continents: {
+      Africa: "#FFB000",
+      Asia: "#648FFF",
+      Europe: "#FE6100",
+      "North America": "#00E5C0",
+      "South America": "#FFFFFF",
+      Oceania: "#DC267F",
+    },
+    components: {
+      "Agriculture (% GDP)": "#00E5C0",
+      "Industry (% GDP)": "#648FFF",
+      "Service (% GDP)": "#FFB000",
+      "Export (% GDP)": "#DC267F",
+      "Import (% GDP)": "#FE6100",
+      Other: "#BBBBBB",
+      "Education Expenditure (% GDP)": "#648FFF",
+      "Health Expenditure (% GDP)": "#DC267F",
+      "Rest of GDP": "#BBBBBB",
+    },
+    inflation: inflationRamp({ base: "#444", deflation: "#00E5FF", inflation: "#FFD400", missing: "#000000" }),
+    inflationLegend: "Inflation (Yellow=+, Cyan=-, Black=NULL)",
+    background: "#000",
+    text: "#fff",
+    outline: "rgba(255,255,255,0.4)",
+  },
+};
+
+// Dark or light label text, whichever reads better on the fill
+export function labelColor(fill, palette) {
+  if (!fill || fill === "none") return palette.text;
+  return d3.lab(fill).l > 60 ? "#111" : "#fff";
+}
@@ -0,0 +1,91 @@
+/*
+
+View state <-> query string, so a view can be linked to and browser history
+steps through view changes. Defaults are left out to keep links short, and
+parameters the app doesn't own (e.g. ?src=) are passed through untouched.
+
+*/
+
+const VIEW_PARAMS = ["year", "mode", "makeup", "opacity", "size", "norm", "base", "top", "group", "continent", "country", "expand", "focus", "others", "compare", "vs", "pin", "color", "scheme", "breaks", "border", "opacityby", "palette"];
+
+export function readViewState(search) {
+  const params = new URLSearchParams(search);
+  const number = (key) => {
+    const v = params.get(key);
+    return v !== null && v !== "" && !isNaN(Number(v)) ? Number(v) : null;
+  };
+  // One focus parameter per grouping level, e.g. ?focus=Europe&focus=High+income
+  const focus = params.getAll("focus");
+  const others = params.get("others") === "1";
+  const groupBy = params.getAll("group");
+
+  return {
+    year: number("year"),
+    mode: params.get("mode"),
+    makeup: params.get("makeup"),
+    opacity: params.has("opacity") ? params.get("opacity") !== "0" : null,
+    size: params.get("size"),
+    normalization: params.get("norm"),
+    baseYear: number("base"),
+    topN: number("top"),
+    groupBy: groupBy.length ? groupBy.filter((g) => g !== "none") : null,
+    continents: params.getAll("continent"),
+    countries: params.getAll("country"),
+    expanded: params.getAll("expand"),
+    focus: focus.length || others ? { path: focus, ...(others ? { others: true } : {}) } : null,
+    compare: params.get("compare"),
+    compareYear: number("vs"),
+    pinned: params.getAll("pin"),
+    colorBy: params.get("color"),
+    colorScheme: params.get("scheme"),
+    colorBreaks: params.get("breaks"),
+    borderBy: params.get("border"),
+    opacityBy: params.get("opacityby"),
+    palette: params.get("palette"),
+  };
+}
+
+// Returns "" or a "?..." string; list values are sorted so equal views give equal strings
+export function writeViewState(view, search, defaults) {
+  const params = new URLSearchParams(search);
+  VIEW_PARAMS.forEach((key) => params.delete(key));
+
+  if (view.year !== defaults.year) params.set("year", view.year);
+  if (view.mode !== defaults.mode) params.set("mode", view.mode);
+  if (view.mode === "makeup" && view.makeup !== defaults.makeup) params.set("makeup", view.makeup);
+  if (view.opacity !== defaults.opacity) params.set("opacity", view.opacity ? "1" : "0");
+  if (view.size !== defaults.size) params.set("size", view.size);
+  if (view.normalization !== defaults.normalization) {
+    params.set("norm", view.normalization);
+    if (view.normalization === "constant" && view.baseYear !== defaults.baseYear) params.set("base", view.baseYear);
+  }
+  if (view.topN !== defaults.topN) params.set("top", view.topN);
+  // Grouping levels keep their order; "none" stands for no grouping at all
+  if (view.groupBy.join() !== defaults.groupBy.join()) {
+    (view.groupBy.length ? view.groupBy : ["none"]).forEach((g) => params.append("group", g));
+  }
+  [...view.continents].sort().forEach((c) => params.append("continent", c));
+  [...view.countries].sort().forEach((c) => params.append("country", c));
+  [...view.expanded].sort().forEach((c) => params.append("expand", c));
+  // Pins keep the order they were pinned in, which the comparison table shows
+  view.pinned.forEach((c) => params.append("pin", c));
+  if (view.colorBy !== defaults.colorBy) {
+    params.set("color", view.colorBy);
+    if (view.colorScheme !== defaults.colorScheme) params.set("scheme", view.colorScheme);
+    if (view.colorBreaks !== defaults.colorBreaks) params.set("breaks", view.colorBreaks);
+  }
+  if (view.borderBy !== defaults.borderBy) params.set("border", view.borderBy);
+  if (view.opacityBy !== defaults.opacityBy) params.set("opacityby", view.opacityBy);
+  if (view.palette !== defaults.palette) params.set("palette", view.palette);
+  if (view.focus) {
+    view.focus.path.forEach((name) => params.append("focus", name));
+    if (view.focus.others) params.set("others", "1");
+  }
+  if (view.compare !== defaults.compare) {
+    params.set("compare", view.compare);
+    if (view.compareYear !== defaults.compareYear) params.set("vs", view.compareYear);
+  }
+
+  const qs = params.toString();
+  return qs ? `?${qs}` : "";
+}
@@ -0,0 +1,91 @@
+import { readViewState, writeViewState } from "./urlState";
+
+const defaults = {
+  year: 1990,
+  mode: "name",
+  makeup: "sector",
+  opacity: true,
+  size: "GDP",
+  normalization: "nominal",
+  baseYear: 2012,
+  topN: 9,
+  groupBy: ["continent"],
+  compare: "off",
+  compareYear: 2012,
+  colorBy: "default",
+  colorScheme: "sequential",
+  colorBreaks: "linear",
+  borderBy: "Inflation Rate",
+  opacityBy: "Unemployment",
+  palette: "default",
+};
+
+const defaultView = {
+  ...defaults,
+  continents: [],
+  countries: [],
+  expanded: [],
+  focus: null,
+  pinned: [],
+};
+
+test("the default view writes an empty query string", () => {
+  expect(writeViewState(defaultView, "", defaults)).toBe("");
+});
+
+test("a view survives a round trip through the query string", () => {
+  const view = {
+    ...defaultView,
+    year: 2005,
+    mode: "makeup",
+    makeup: "trade",
+    opacity: false,
+    size: "Net Trade",
+    normalization: "constant",
+    baseYear: 2000,
+    topN: 15,
+    groupBy: ["income", "continent"],
+    continents: ["Europe", "Asia"],
+    countries: ["Brazil"],
+    expanded: ["Africa"],
+    focus: { path: ["High income", "Europe"], others: true },
+    compare: "side",
+    compareYear: 1995,
+    colorBy: "R&D",
+    colorScheme: "diverging",
+    colorBreaks: "quantile",
+    borderBy: "none",
+    opacityBy: "Land",
+    palette: "contrast",
+  };
+  const read = readViewState(writeViewState(view, "", defaults));
+  expect(read).toMatchObject({
+    ...view,
+    // Lists other than pins and grouping levels are written sorted
+    continents: ["Asia", "Europe"],
+  });
+});
+
+test("pins keep the order they were pinned in", () => {
+  const search = writeViewState({ ...defaultView, pinned: ["Japan", "Brazil", "Angola"] }, "", defaults);
+  expect(readViewState(search).pinned).toEqual(["Japan", "Brazil", "Angola"]);
+});
+
+test("parameters the app doesn't own are kept", () => {
+  const search = writeViewState({ ...defaultView, year: 2001 }, "?src=data.csv&year=1999", defaults);
+  expect(new URLSearchParams(search).get("src")).toBe("data.csv");
+  expect(readViewState(search).year).toBe(2001);
+});
+
+test("no grouping is written as group=none and read back as no levels", () => {
+  const search = writeViewState({ ...defaultView, groupBy: [] }, "", defaults);
+  expect(search).toBe("?group=none");
+  expect(readViewState(search).groupBy).toEqual([]);
+});
+
+test("years are read as given, out of range or not, and non-numbers are dropped", () => {
+  // The app checks years against the dataset it loads (see applyView in App.js)
+  expect(readViewState("?year=1850&vs=2100&base=3000")).toMatchObject({ year: 1850, compareYear: 2100, baseYear: 3000 });
+  expect(readViewState("?year=soon&vs=").year).toBeNull();
+  expect(readViewState("?vs=").compareYear).toBeNull();
+});
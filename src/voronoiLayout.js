@@ -0,0 +1,167 @@
+/*
+
+Seedable Voronoi treemap layout.
+
+Follows the same recursion as d3-voronoi-treemap, but drives d3-voronoi-map
+directly so each cell can start from where it ended in the previous layout.
+https://github.com/Kcnarf/d3-voronoi-map?tab=readme-ov-file
+
+*/
+
+import * as d3 from "d3";
+import { voronoiMapSimulation, voronoiMapInitialPositionRandom } from "d3-voronoi-map";
+
+function seededRandom(seed) {
+  let s = seed;
+  return function () {
+    s = Math.sin(s) * 10000;
+    return s - Math.floor(s);
+  };
+}
+
+// Path of names from the root, e.g. "Asia/China"
+export function nodeKey(node) {
+  return node
+    .ancestors()
+    .reverse()
+    .slice(1)
+    .map((n) => n.data.name)
+    .join("/");
+}
+
+// Assigns node.polygon on every node of a d3.hierarchy and returns the final
+// site positions keyed by nodeKey, to seed the next layout with
+function computeVoronoiTreemap(root, { width, height, previousSites = new Map() }) {
+  const sites = new Map();
+  const prng = seededRandom(12345);
+  const randomPosition = voronoiMapInitialPositionRandom();
+
+  function recurse(clippingPolygon, node) {
+    node.polygon = clippingPolygon;
+    if (!node.children || !node.children.length) return;
+
+    const simulation = voronoiMapSimulation(node.children)
+      .clip(clippingPolygon)
+      .weight((d) => d.value)
+      // ensures rendering completes and smaller nodes do not get lost
+      .convergenceRatio(0.015)
+      .maxIterationCount(80)
+      .minWeightRatio(0.002)
+      .prng(prng)
+      // positions outside the clip fall back to a random one inside the library
+      .initialPosition((d, i, arr, sim) => {
+        const prev = previousSites.get(nodeKey(d));
+        return prev ? [prev.x, prev.y] : randomPosition(d, i, arr, sim);
+      })
+      .stop();
+
+    let state = simulation.state();
+    while (!state.ended) {
+      simulation.tick();
+      state = simulation.state();
+    }
+
+    state.polygons.forEach((cp) => {
+      const child = cp.site.originalObject.data.originalData;
+      sites.set(nodeKey(child), { x: cp.site.x, y: cp.site.y });
+      recurse(cp, child);
+    });
+  }
+
+  recurse(
+    [
+      [0, 0],
+      [0, height],
+      [width, height],
+      [width, 0],
+    ],
+    root
+  );
+  return sites;
+}
+
+// Layout of a plain { name, value, children } tree (see layoutTree in
+// layoutCache.js), with polygons as plain arrays so they can leave a worker
+export function computeLayout(tree, { width, height, previousSites }) {
+  const root = d3
+    .hierarchy(tree)
+    .sum((d) => d.value || 0)
+    .sort((a, b) => (b.value || 0) - (a.value || 0));
+  let sites;
+  try {
+    sites = computeVoronoiTreemap(root, { width, height, previousSites });
+  } catch (err) {
+    // Some seeds leave a cell without area, which the simulation rejects;
+    // starting over from random positions gives up continuity, not the chart
+    sites = computeVoronoiTreemap(root, { width, height });
+  }
+  const polygons = new Map();
+  root.each((node) => {
+    if (node.polygon) polygons.set(nodeKey(node), node.polygon.map(([x, y]) => [x, y]));
+  });
+  return { polygons, sites };
+}
+
+export function polygonPath(polygon) {
+  return `M${polygon.join("L")}Z`;
+}
+
+// Evenly spaced points along the polygon's perimeter
+function resamplePolygon(polygon, count) {
+  const closed = [...polygon, polygon[0]];
+  const lengths = [0];
+  for (let i = 1; i < closed.length; i++) {
+    const [x0, y0] = closed[i - 1];
+    const [x1, y1] = closed[i];
+    lengths.push(lengths[i - 1] + Math.hypot(x1 - x0, y1 - y0));
+  }
+  const perimeter = lengths[lengths.length - 1];
+  if (!perimeter) return d3.range(count).map(() => [polygon[0][0], polygon[0][1]]);
+
+  const points = [];
+  let seg = 1;
+  for (let k = 0; k < count; k++) {
+    const target = (k / count) * perimeter;
+    while (lengths[seg] < target) seg++;
+    const span = lengths[seg] - lengths[seg - 1];
+    const f = span ? (target - lengths[seg - 1]) / span : 0;
+    const [x0, y0] = closed[seg - 1];
+    const [x1, y1] = closed[seg];
+    points.push([x0 + (x1 - x0) * f, y0 + (y1 - y0) * f]);
+  }
+  return points;
+}
+
+// Polygons rarely share a vertex count between layouts, so both are resampled
+// and aligned before interpolating; the end state is the exact target path
+export function polygonTween(from, to, samples = 48) {
+  const a = resamplePolygon(from, samples);
+  let b = resamplePolygon(to, samples);
+  if (d3.polygonArea(from) * d3.polygonArea(to) < 0) b.reverse();
+
+  let bestOffset = 0;
+  let bestCost = Infinity;
+  for (let offset = 0; offset < samples; offset++) {
+    let cost = 0;
+    for (let i = 0; i < samples; i++) {
+      const p = a[i];
+      const q = b[(i + offset) % samples];
+      cost += (p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2;
+    }
+    if (cost < bestCost) {
+      bestCost = cost;
+      bestOffset = offset;
+    }
+  }
+  b = b.map((_, i) => b[(i + bestOffset) % samples]);
+
+  const interpolate = d3.interpolate(a, b);
+  const end = polygonPath(to);
+  return (t) => (t >= 1 ? end : polygonPath(interpolate(t)));
+}
+
+// Degenerate polygon at the target's centroid, used to grow entering cells
+export function collapsedPolygon(polygon) {
+  const c = d3.polygonCentroid(polygon);
+  return polygon.map(() => [c[0], c[1]]);
+}